@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+const path = require('path');
+const repl = require('repl');
+const util = require('util');
+const Web3 = require('web3');
+
+const USAGE = `Usage: w <command> [arguments] [options]
+
+Commands:
+    balance <account> [token]                       Balance of ether or of an ERC20 token
+    nonce <account>                                 Nonce of an address
+    block [number]                                  Current block number, or a block
+    call <contract> <function> [args...]            Call a function of a contract
+    send <from> <to> <function> [args...]           Send a transaction to a contract
+    transfer <from> <to> <amount> [token]           Transfer ether or an ERC20 token
+    storage <contract> <slot>                       Storage of a contract at a slot
+    deploy <from> <folders> <contract> [args...]    Compile and deploy a contract
+    deploy <from> <artifact.json> [args...]         Deploy a contract from its artifact
+    console                                         Interactive console, with \`w\` loaded
+
+Arguments are given as plain values when the ABI of the contract is known, otherwise as
+\`<type>:<value>\` (\`uint256:100\`, \`address[]:["weth","wbtc"]\`). Folders are separated by commas.
+
+Options:
+    -n, --network <network>        Network of \`w-providers.json\` (optional for \`console\`)
+    -p, --provider <names>         Provider(s) of the network, separated by commas (default: all)
+    -r, --returns <types>          Types returned, separated by commas
+    --from <account>               Caller of \`call\`
+    --block <number>               Block of the calls and storage reads
+    --unit <unit>                  Unit of the values (default: ether)
+    --raw                          Amounts of \`balance\` and \`transfer\` in base units (wei, or the smallest unit of the token)
+    --value <value>                Value sent with \`send\`
+    --gas-limit <gas>              Gas limit of the transaction
+    --gas-price <price>            Gas price of the transaction, in gwei
+    --max-fee <fee>                Max fee per gas of an EIP-1559 transaction, in gwei
+    --priority-fee <fee>           Max priority fee per gas of an EIP-1559 transaction, in gwei
+    --nonce <nonce>                Nonce of the transaction
+    --offset <bytes>               Offset of a value packed in a storage slot
+    --size <bytes>                 Size of a value packed in a storage slot
+    --optimization <runs>          Runs of the optimizer for \`deploy\`
+    --register                     Register the deployed contract in \`w-contracts.json\`
+    --alias <alias>                Alias to register the deployed contract under
+    --salt <salt>                  Deploy with CREATE2 and this salt
+    --config <dir>                 Directory from which the \`w-*.json\` files are searched (default: current directory)
+    --dry-run                      Simulate the transactions instead of sending them
+    --confirm                      Ask for a confirmation before sending a transaction
+    --recaps                       Print the recaps of the transactions
+    --json                         Print the result as JSON
+    -h, --help                     Print this help
+`;
+
+const SHORT_FLAGS = { n: 'network', p: 'provider', r: 'returns', h: 'help' };
+const BOOLEAN_FLAGS = ['raw', 'register', 'dry-run', 'confirm', 'recaps', 'json', 'help'];
+
+/**
+ * Splits the command-line arguments into positional arguments and options.
+ * @param {string[]} argv Arguments of the command line, without the executable and the script.
+ * @returns {Object} The `positionals` and the `flags`.
+ */
+function parseArguments(argv) {
+    let positionals = [];
+    let flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let match = arg.match(/^--([a-z-]+)(?:=(.*))?$/s) || arg.match(/^-([a-z])$/);
+        if (!match) {
+            positionals.push(arg);
+            continue;
+        }
+        let name = SHORT_FLAGS[match[1]] || match[1];
+        if (match[2] !== undefined) {
+            flags[name] = match[2];
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else {
+            if (i + 1 >= argv.length) throw new Error(`Missing value of the option --${name}.`);
+            flags[name] = argv[++i];
+        }
+    }
+    return { positionals, flags };
+}
+
+/**
+ * Splits a list separated by commas, ignoring the commas inside parentheses (tuple types).
+ * @param {string} list List to split.
+ * @returns {string[]} Elements of the list.
+ */
+function splitList(list) {
+    let elements = [];
+    let depth = 0;
+    let current = '';
+    for (let char of list) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            elements.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    elements.push(current);
+    return elements.map(element => element.trim()).filter(element => element.length > 0);
+}
+
+/**
+ * Parses a value given on the command line: arrays and objects are read as JSON, `true` and `false` as
+ * booleans, and everything else is kept as a string.
+ * @param {string} value Value to parse.
+ * @returns {*} Parsed value.
+ */
+function parseValue(value) {
+    if (/^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch { }
+    }
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+}
+
+/**
+ * Parses the arguments of a function, given as plain values or as `<type>:<value>`.
+ * @param {W} w Instance of `W`.
+ * @param {string[]} args Arguments to parse.
+ * @returns {Array} Arguments, as expected by `call` and `send`.
+ */
+function parseFunctionArguments(w, args) {
+    return args.map(arg => {
+        let match = arg.match(/^([^:]+):(.*)$/s);
+        return match && w._isType(match[1]) ? [match[1], parseValue(match[2])] : parseValue(arg);
+    });
+}
+
+/**
+ * Parses the `--returns` option.
+ * @param {string} returns Types separated by commas.
+ * @returns {string | string[]} A single type, or the list of types.
+ */
+function parseReturns(returns) {
+    if (!returns) return undefined;
+    let types = splitList(returns);
+    return types.length === 1 ? types[0] : types;
+}
+
+/**
+ * Parses a numeric option.
+ * @param {string} value Value of the option.
+ * @returns {int} The number, or `undefined` if the option is not given.
+ */
+function numberFlag(value) {
+    if (value === undefined) return undefined;
+    let number = Number(value);
+    if (!Number.isInteger(number)) throw new Error(`Invalid number: ${value}.`);
+    return number;
+}
+
+/**
+ * Returns the gas price option of a transaction from the command-line options.
+ * @param {Object} flags Options of the command line.
+ * @returns {string | Object} Gas price, or EIP-1559 fees.
+ */
+function gasPrice(flags) {
+    if (flags['max-fee'] || flags['priority-fee']) {
+        let fees = {};
+        if (flags['max-fee']) fees.maxFeePerGas = flags['max-fee'];
+        if (flags['priority-fee']) fees.maxPriorityFeePerGas = flags['priority-fee'];
+        return fees;
+    }
+    return flags['gas-price'];
+}
+
+/**
+ * Converts a result to plain JSON values: the results decoded by web3 become arrays, or objects when all
+ * their values are named, and big numbers become strings.
+ * @param {*} value Value to convert.
+ * @returns {*} Plain value.
+ */
+function toPlain(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (typeof value.toTwos === 'function') return value.toString();
+    if (value.__length__ !== undefined) {
+        let names = Object.keys(value).filter(key => key !== '__length__' && isNaN(key));
+        if (names.length === value.__length__) {
+            return Object.fromEntries(names.map(name => [name, toPlain(value[name])]));
+        }
+        return [...Array(value.__length__).keys()].map(i => toPlain(value[i]));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, element]) => [key, toPlain(element)]));
+}
+
+/**
+ * Returns the aliases of `w-accounts.json` and of `w-contracts.json`, with the accounts derived from a mnemonic.
+ * @param {W} w Instance of `W`.
+ * @returns {string[]} Aliases.
+ */
+function aliases(w) {
+    let names = [];
+    for (let alias in w.accounts || {}) {
+        let range = alias.match(/^(.+)\[(\d+)\.\.(\d+)\]$/);
+        if (!range) {
+            names.push(alias);
+            continue;
+        }
+        let last = Math.min(Number(range[3]), Number(range[2]) + 99);
+        for (let i = Number(range[2]); i <= last; i++) names.push(`${range[1]}/${i}`);
+    }
+    return names.concat(Object.keys(w.contracts || {}));
+}
+
+/**
+ * Returns the names of the functions and of the events of a contract whose ABI is known.
+ * @param {W} w Instance of `W`.
+ * @param {string} contract Alias of the contract.
+ * @returns {string[]} Names.
+ */
+function abiNames(w, contract) {
+    let abi = null;
+    try {
+        abi = w._contractAbi(contract);
+    } catch { }
+    if (!abi) return [];
+    return [...new Set(abi.filter(item => item.type === 'function' || item.type === 'event').map(item => item.name))];
+}
+
+/**
+ * Completes the string being typed at the end of a line of the console: units in `setValueUnit` and
+ * `setGasPriceUnit`, networks and providers in `setProvider`, and otherwise aliases, along with the functions
+ * of the last contract given on the line.
+ * @param {W} w Instance of `W`.
+ * @param {string} line Line being typed.
+ * @returns {Array} The completions and the completed string, or `null` if no string is being typed.
+ */
+function complete(w, line) {
+    let quoted = line.match(/["'`]([^"'`]*)$/);
+    if (!quoted) return null;
+    let partial = quoted[1];
+    let before = line.slice(0, quoted.index);
+    let provider = before.match(/setProvider\(\s*(?:["'`]([^"'`]*)["'`]\s*,\s*)?$/);
+    let candidates;
+    if (/set(Value|GasPrice)Unit\(\s*$/.test(before)) {
+        candidates = Object.keys(Web3.utils.unitMap);
+    } else if (provider) {
+        let providers = w.providers || {};
+        candidates = provider[1] === undefined
+            ? Object.keys(providers)
+            : Object.keys(providers[provider[1]] || {}).filter(name => name !== 'options');
+    } else {
+        let strings = [...before.matchAll(/["'`]([^"'`]*)["'`]/g)].map(match => match[1]).reverse();
+        let contract = strings.find(string => w.contracts && w.contracts[string]);
+        candidates = aliases(w).concat(contract ? abiNames(w, contract) : []);
+    }
+    return [candidates.filter(candidate => candidate.startsWith(partial)), partial];
+}
+
+/**
+ * Starts the interactive console, with `w` loaded and top-level `await`. The results of `balance` are printed
+ * in the value unit or with the symbol of the token, and the results of `call` as plain values. The history
+ * is kept in `.w_history`, next to the configuration files.
+ * @param {W} w Instance of `W`.
+ * @returns {Promise} Promise resolved when the console is closed.
+ */
+function startConsole(w) {
+    let formatted = null;
+    let formats = {
+        balance: async (value, [, token, format]) => format ? repl.writer(value) : w._formatAmount(value, token),
+        call: async (value) => repl.writer(toPlain(value))
+    };
+    for (let name in formats) {
+        let method = w[name];
+        w[name] = async (...args) => {
+            let result = await method.apply(w, args);
+            formatted = { result: result, text: await formats[name](result, args) };
+            return result;
+        };
+    }
+
+    let server = repl.start({
+        prompt: 'w> ',
+        writer: (output) => {
+            let text = formatted && output === formatted.result ? formatted.text : repl.writer(output);
+            formatted = null;
+            return text;
+        }
+    });
+    server.context.w = w;
+    let defaultCompleter = server.completer;
+    server.completer = (line, callback) => {
+        let completions = complete(w, line);
+        if (completions) callback(null, completions);
+        else defaultCompleter.call(server, line, callback);
+    };
+    let configurationFile = w.accountsPath || w.contractsPath;
+    let historyDir = configurationFile ? path.dirname(configurationFile) : w.configurationDir;
+    server.setupHistory(path.join(historyDir, '.w_history'), (err) => {
+        if (err) console.error(`Unable to open the history file: ${err.message}`);
+    });
+    return new Promise(resolve => server.on('exit', resolve));
+}
+
+const COMMANDS = {
+    balance: {
+        arguments: 1,
+        run: async (w, [account, token], flags) => {
+            if (flags.raw || flags.json) return { result: (await w.balance(account, token)).toString() };
+            return { text: await w._formatAmount(await w.balance(account, token), token) };
+        }
+    },
+    nonce: {
+        arguments: 1,
+        run: async (w, [account]) => ({ result: await w.nonce(account) })
+    },
+    block: {
+        arguments: 0,
+        run: async (w, [block]) => ({
+            result: block === undefined ? await w.currentBlock() : await w.web3.eth.getBlock(parseValue(block))
+        })
+    },
+    call: {
+        arguments: 2,
+        run: async (w, [contract, functionName, ...args], flags) => ({
+            result: await w.call(contract, functionName, parseFunctionArguments(w, args), parseReturns(flags.returns), flags.from)
+        })
+    },
+    send: {
+        arguments: 3,
+        run: async (w, [from, to, functionName, ...args], flags) => ({
+            result: await w.send(
+                from,
+                to,
+                functionName,
+                parseFunctionArguments(w, args),
+                flags.value,
+                numberFlag(flags['gas-limit']),
+                gasPrice(flags),
+                numberFlag(flags.nonce)
+            )
+        })
+    },
+    transfer: {
+        arguments: 3,
+        run: async (w, [from, to, amount, token], flags) => ({
+            result: await w.transfer(from, to, amount, token, numberFlag(flags['gas-limit']), gasPrice(flags), flags.raw)
+        })
+    },
+    storage: {
+        arguments: 2,
+        run: async (w, [contract, slot], flags) => ({
+            result: await w.storage(
+                contract,
+                slot,
+                parseReturns(flags.returns),
+                numberFlag(flags.offset),
+                numberFlag(flags.size)
+            )
+        })
+    },
+    deploy: {
+        arguments: 2,
+        run: async (w, [from, folders, ...rest], flags) => {
+            let fromArtifact = folders.endsWith('.json');
+            let contractName = fromArtifact ? null : rest.shift();
+            if (!fromArtifact && !contractName) throw new Error('Missing the name of the contract to deploy.');
+            return {
+                result: await w.deploy(
+                    from,
+                    fromArtifact ? folders : folders.split(','),
+                    contractName,
+                    rest.map(parseValue),
+                    numberFlag(flags.optimization),
+                    gasPrice(flags),
+                    numberFlag(flags['gas-limit']),
+                    flags.alias || flags.register || undefined,
+                    flags.salt
+                )
+            };
+        }
+    },
+    console: {
+        arguments: 0,
+        network: false,
+        interactive: true,
+        run: async (w) => {
+            await startConsole(w);
+        }
+    }
+};
+
+/**
+ * Writes the result of a command on the standard output.
+ * @param {Object} output Result of the command, with an optional human-readable `text`.
+ * @param {boolean} json Whether to print the result as JSON.
+ */
+function print(output, json) {
+    let result = toPlain(output.result);
+    if (json) {
+        process.stdout.write(JSON.stringify(result, null, 4) + '\n');
+    } else if (output.text !== undefined) {
+        process.stdout.write(output.text + '\n');
+    } else if (result !== null && typeof result === 'object') {
+        process.stdout.write(util.inspect(result, { depth: null, colors: process.stdout.isTTY }) + '\n');
+    } else {
+        process.stdout.write(String(result) + '\n');
+    }
+}
+
+async function main() {
+    let { positionals, flags } = parseArguments(process.argv.slice(2));
+    let [name, ...args] = positionals;
+    let command = COMMANDS[name];
+    if (flags.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!command) {
+        process.stderr.write(USAGE + '\n');
+        throw new Error(name ? `Unknown command: ${name}.` : 'Missing command.');
+    }
+    if (args.length < command.arguments) {
+        throw new Error(`Missing arguments, see \`w --help\`.`);
+    }
+    if (!flags.network && command.network !== false) {
+        throw new Error('Missing the network, give it with --network.');
+    }
+
+    process.env.W_CONFIG_DIR = path.resolve(flags.config || process.env.W_CONFIG_DIR || process.cwd());
+    // the messages of the library go to the standard error, so that the standard output only has the result
+    if (!command.interactive) console.log = console.error;
+    const w = require('../index.js');
+
+    if (flags.network) {
+        let providers = flags.provider ? splitList(flags.provider) : undefined;
+        w.setProvider(flags.network, providers && providers.length === 1 ? providers[0] : providers);
+    }
+    // the console keeps the receipts printed by the library, the commands print their own result
+    if (!command.interactive) w.setReceipts(false);
+    w.setRecaps(!!flags.recaps);
+    w.setConfirmations(!!flags.confirm);
+    w.setDryRun(!!flags['dry-run']);
+    if (flags.unit) w.setValueUnit(flags.unit);
+    if (flags.block) w.setBlockCall(/^\d+$/.test(flags.block) ? Number(flags.block) : flags.block);
+
+    let output = await command.run(w, args, flags);
+    if (output) print(output, flags.json);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
@@ -1,30 +1,54 @@
 const Web3 = require("web3");
 const fs = require("fs");
 const path = require("path");
+const crypto = require('crypto');
+const os = require('os');
+const https = require('https');
 const readline = require('readline');
 const assert = require('assert');
 const solc = require('solc');
+const semver = require('semver');
+const { HDNode } = require('@ethersproject/hdnode');
+const { _TypedDataEncoder } = require('@ethersproject/hash');
+const { SigningKey } = require('@ethersproject/signing-key');
 const uncRjc = 'unhandledRejection';
 const listeners = process.listeners(uncRjc);
 process.removeListener(uncRjc, listeners[listeners.length - 1]);
 
 /**
- * Prompts a confirmation message in the terminal.
- * @param {string} message Confirmation message to show to the user.
+ * Prompts a question in the terminal.
+ * @param {string} message Question to show to the user.
+ * @param {boolean} hidden Whether the response should be hidden while it is typed (for passwords) or not.
  * @returns {Promise} Promise resolved when the users reponds, and returns the response.
  */
-function askConfirmation(message) {
+function askQuestion(message, hidden = false) {
     const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout,
     });
+    if (hidden) {
+        rl._writeToOutput = (output) => {
+            if (output.startsWith(message)) rl.output.write(message);
+        };
+    }
 
     return new Promise(resolve => rl.question(message, ans => {
         rl.close();
-        resolve(ans && ['y', 'Y', 'yes', 'Yes'].includes(ans));
+        if (hidden) rl.output.write('\n');
+        resolve(ans);
     }))
 }
 
+/**
+ * Prompts a confirmation message in the terminal.
+ * @param {string} message Confirmation message to show to the user.
+ * @returns {Promise} Promise resolved when the users reponds, and returns the response.
+ */
+async function askConfirmation(message) {
+    let ans = await askQuestion(message);
+    return ans && ['y', 'Y', 'yes', 'Yes'].includes(ans);
+}
+
 /**
  * Does the same as `assert`, but prints the error in red.
  * @param {boolean} value 
@@ -78,12 +102,276 @@ function warning(message) {
     )
 }
 
+/**
+ * Separates the thousands of the integer part of a decimal amount with commas, as `1,234.56`.
+ * @param {string} amount Decimal amount.
+ * @returns {string} The formatted amount.
+ */
+function groupThousands(amount) {
+    return amount.replace(/^\d+/, integer => integer.replace(/\B(?=(\d{3})+(?!\d))/g, ','));
+}
+
+/**
+ * Waits for a given time.
+ * @param {int} ms Time to wait, in milliseconds.
+ * @returns {Promise} Promise resolved after the given time.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Maps the integers from `0` to `count - 1` with an asynchronous function, `size` of them at a time.
+ * @param {int} count Number of integers.
+ * @param {int} size Maximal number of pending calls.
+ * @param {function} fn Asynchronous function called with each integer.
+ * @returns {Promise<Array>} The results, in order.
+ */
+async function mapInBatches(count, size, fn) {
+    let results = [];
+    for (let start = 0; start < count; start += size) {
+        let batch = [...Array(Math.min(size, count - start)).keys()].map(i => fn(start + i));
+        results.push(...await Promise.all(batch));
+    }
+    return results;
+}
+
+/**
+ * Downloads a file, following the redirections.
+ * @param {string} url URL of the file.
+ * @returns {Promise<string>} Content of the file.
+ */
+function download(url) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (response) => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                resolve(download(new URL(response.headers.location, url).toString()));
+            } else if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`Download of ${url} failed with status ${response.statusCode}.`));
+            } else {
+                let chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+                response.on('error', reject);
+            }
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Provider spreading the requests over several providers of a network, with retries and exponential
+ * backoff on transport errors and rate limits.
+ */
+class FallbackProvider {
+
+    /**
+     * @param {Object[]} endpoints Providers, as objects with their `name`, their `rpc` and their web3 `provider`.
+     * @param {Object} options Options of the network in `w-providers.json`: `policy` (`'failover'`,
+     * `'round-robin'` or `'quorum'`), `quorum`, `retries` and `retryDelay`.
+     */
+    constructor(endpoints, options = {}) {
+        // the endpoints are kept as given, so that a reconnected websocket can replace their provider
+        this.endpoints = endpoints.map(endpoint => Object.assign(endpoint, {
+            stats: {
+                requests: 0,
+                successes: 0,
+                failures: 0,
+                rateLimits: 0,
+                consecutiveFailures: 0,
+                totalLatency: 0,
+                lastError: null,
+                lastFailure: null
+            }
+        }));
+        this.policy = options.policy || 'failover';
+        assertRed(
+            ['failover', 'round-robin', 'quorum'].includes(this.policy),
+            'Unknown provider policy in `w-providers.json`, it should be `failover`, `round-robin` or `quorum`.'
+            + '\nGiven policy: ' + this.policy
+        );
+        this.quorum = options.quorum || Math.floor(endpoints.length / 2) + 1;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 500;
+        // a failed provider is tried last during this time
+        this.cooldown = 30000;
+        this.next = 0;
+    }
+
+    /**
+     * Methods whose result is deterministic, that can be checked by several providers with the policy `'quorum'`.
+     */
+    static get READ_METHODS() {
+        return [
+            'eth_call', 'eth_chainId', 'eth_getBalance', 'eth_getBlockByHash', 'eth_getBlockByNumber', 'eth_getCode',
+            'eth_getLogs', 'eth_getStorageAt', 'eth_getTransactionByHash', 'eth_getTransactionCount',
+            'eth_getTransactionReceipt'
+        ];
+    }
+
+    /**
+     * Sends a JSON-RPC request or a batch of requests, as expected by web3.
+     * @param {Object | Object[]} payload JSON-RPC payload.
+     * @param {function} callback Called with the error or the JSON-RPC response.
+     */
+    send(payload, callback) {
+        let isRead = !Array.isArray(payload) && FallbackProvider.READ_METHODS.includes(payload.method);
+        let response = this.policy === 'quorum' && isRead ? this._quorum(payload) : this._failover(payload);
+        // web3 callbacks can return a rejected promise, it must not be returned
+        response.then(result => { callback(null, result); }, err => { callback(err); });
+    }
+
+    /**
+     * @param {Object} error JSON-RPC error.
+     * @returns {bool} Whether the error means that the provider rate-limits the requests or not.
+     */
+    _isRateLimit(error) {
+        // the code `-32005` is also given for other limits, like too many results of `eth_getLogs`
+        return error.code === 429 || /rate.?limit|too many requests|exceeded.*(capacity|quota)/i.test(error.message);
+    }
+
+    /**
+     * Sends a payload to one provider, and updates its statistics. Transport errors and rate limits are
+     * thrown, JSON-RPC errors are returned in the response.
+     * @param {Object} endpoint Provider.
+     * @param {Object | Object[]} payload JSON-RPC payload.
+     * @returns {Promise<Object | Object[]>} The JSON-RPC response.
+     */
+    async _sendTo(endpoint, payload) {
+        let stats = endpoint.stats;
+        let start = Date.now();
+        stats.requests++;
+        try {
+            let response = await new Promise((resolve, reject) => endpoint.provider.send(
+                payload,
+                (err, result) => err ? reject(err) : resolve(result)
+            ));
+            let errors = (Array.isArray(response) ? response : [response]).filter(result => result && result.error);
+            if (errors.some(result => this._isRateLimit(result.error))) {
+                stats.rateLimits++;
+                throw new Error(`Rate limited by the provider ${endpoint.name}.`);
+            }
+            stats.successes++;
+            stats.consecutiveFailures = 0;
+            stats.totalLatency += Date.now() - start;
+            return response;
+        } catch (err) {
+            stats.failures++;
+            stats.consecutiveFailures++;
+            stats.lastError = err.message;
+            stats.lastFailure = Date.now();
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Object[]} The providers, in the order they should be tried.
+     */
+    _order() {
+        let order = [...this.endpoints];
+        if (this.policy === 'round-robin') {
+            let start = this.next++ % order.length;
+            order = [...order.slice(start), ...order.slice(0, start)];
+        }
+        let now = Date.now();
+        let isDown = endpoint => endpoint.stats.consecutiveFailures > 0 && now - endpoint.stats.lastFailure < this.cooldown;
+        return [...order.filter(endpoint => !isDown(endpoint)), ...order.filter(isDown)];
+    }
+
+    /**
+     * Sends a payload to the providers one after the other, until one of them responds. If all of them fail,
+     * it waits with an exponential backoff before trying them again.
+     * @param {Object | Object[]} payload JSON-RPC payload.
+     * @returns {Promise<Object | Object[]>} The JSON-RPC response.
+     */
+    async _failover(payload) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) await sleep(this.retryDelay * 2 ** (attempt - 1));
+            for (let endpoint of this._order()) {
+                try {
+                    return await this._sendTo(endpoint, payload);
+                } catch (err) {
+                    lastError = err;
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Sends a payload to all the providers, each of them being retried with an exponential backoff, and
+     * returns the response given by at least `quorum` of them.
+     * @param {Object} payload JSON-RPC payload.
+     * @returns {Promise<Object>} The JSON-RPC response.
+     */
+    async _quorum(payload) {
+        let responses = await Promise.all(this.endpoints.map(async endpoint => {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this._sendTo(endpoint, payload);
+                } catch (err) {
+                    if (attempt >= this.retries) return null;
+                    await sleep(this.retryDelay * 2 ** attempt);
+                }
+            }
+        }));
+        let votes = {};
+        for (let response of responses.filter(response => response)) {
+            let key = JSON.stringify(response.error || response.result);
+            votes[key] = votes[key] || { response: response, count: 0 };
+            votes[key].count++;
+        }
+        let best = Object.values(votes).sort((a, b) => b.count - a.count)[0];
+        if (!best || best.count < this.quorum) {
+            throw new Error(
+                `Quorum not reached for \`${payload.method}\`: ${best ? best.count : 0} matching responses`
+                + ` out of ${this.endpoints.length} providers, ${this.quorum} required.`
+            );
+        }
+        return best.response;
+    }
+
+    /**
+     * @returns {Object[]} Health statistics of the providers.
+     */
+    stats() {
+        let now = Date.now();
+        return this.endpoints.map(({ name, rpc, stats }) => ({
+            name: name,
+            rpc: rpc,
+            healthy: stats.consecutiveFailures === 0 || now - stats.lastFailure >= this.cooldown,
+            requests: stats.requests,
+            successes: stats.successes,
+            failures: stats.failures,
+            rateLimits: stats.rateLimits,
+            averageLatency: stats.successes > 0 ? Math.round(stats.totalLatency / stats.successes) : null,
+            lastError: stats.lastError,
+            lastFailure: stats.lastFailure ? new Date(stats.lastFailure) : null
+        }));
+    }
+}
+
 class W {
 
     constructor() {
-        let parentPaths = module.parent.paths.map((path) => {
-            return path.slice(0, - 'node_modules'.length);
-        });
+        let parentPaths;
+        if (process.env.W_CONFIG_DIR) {
+            // `W_CONFIG_DIR` moves the search of the configuration files, as the command-line tool does
+            parentPaths = [];
+            let dir = path.resolve(process.env.W_CONFIG_DIR);
+            for (; ;) {
+                parentPaths.push(dir.endsWith(path.sep) ? dir : dir + path.sep);
+                if (path.dirname(dir) === dir) break;
+                dir = path.dirname(dir);
+            }
+        } else {
+            parentPaths = module.parent.paths.map((path) => {
+                return path.slice(0, - 'node_modules'.length);
+            });
+        }
+        this.configurationDir = parentPaths[0];
 
         let foundConfiguration = false;
         let i = 0;
@@ -92,11 +380,17 @@ class W {
             let contractsPath = parentPaths[i] + 'w-contracts.json';
             let providersPath = parentPaths[i] + 'w-providers.json';
             try {
-                this.accounts = this.accounts || require(accountsPath);
+                if (!this.accounts) {
+                    this.accounts = require(accountsPath);
+                    this.accountsPath = accountsPath;
+                }
             } catch { }
 
             try {
-                this.contracts = this.contracts || require(contractsPath);
+                if (!this.contracts) {
+                    this.contracts = require(contractsPath);
+                    this.contractsPath = contractsPath;
+                }
             } catch { }
 
             try {
@@ -108,6 +402,7 @@ class W {
         }
 
         if (!this.accounts) warning('`w-accounts.json` is missing. Some functions may not work.');
+        else this._loadKeystoresAddresses();
         if (!this.contracts) warning('`w-contracts.json` is missing. Some functions may not work.');
         if (!this.providers) warning('`w-providers.json` is missing. Some functions may not work.');
 
@@ -119,14 +414,273 @@ class W {
 
         this.provider = null;
         this.web3 = null;
+        this.abis = {};
+        this.layouts = {};
+        this.tokens = {};
+        this.keys = {};
+        this.hdAccounts = {};
+        this.hdNodes = {};
+        this.signerAliases = {};
 
         this.valueUnit = this.ETHER;
         this.gasPriceUnit = this.GWEI;
+        this.gasMultiplier = 1.2;
         this.blockCall = 'latest';
 
         this.confirmations = false;
         this.recaps = false;
         this.receipts = true;
+        this.dryRun = false;
+        this.nonces = {};
+
+        this.remappings = [];
+        this.solcVersion = null;
+        this.solcCache = path.join(os.homedir(), '.cache', 'web3-simplified', 'solc');
+        this.compilers = {};
+        this.solcReleases = null;
+        this.solcBuilds = null;
+        this.compilerSettings = {};
+
+        this.pollingInterval = 4000;
+        this.subscriptions = [];
+        this.subscriptionsCount = 0;
+        this.watcher = null;
+
+        // `readVar` reads the storage slots by batches, and refuses to read longer arrays entirely
+        this.storageBatchSize = 50;
+        this.maxArrayLength = 1000;
+    }
+
+    /**
+     * Reads the keystore of an account of `w-accounts.json`.
+     * @param {Object} account Account of `w-accounts.json`, with a field `keystore` that is either a V3 keystore
+     * or the path of a V3 keystore file, relative to `w-accounts.json`.
+     * @returns {Object} The V3 keystore.
+     */
+    _readKeystore(account) {
+        if (typeof account.keystore !== 'string') return account.keystore;
+        let keystorePath = path.resolve(path.dirname(this.accountsPath), account.keystore);
+        let keystore = null;
+        try {
+            keystore = JSON.parse(fs.readFileSync(keystorePath, { encoding: 'utf8', flag: 'r' }));
+        } catch { }
+        assertRed(
+            keystore,
+            'Unable to read the keystore given in `w-accounts.json`.'
+            + '\nGiven keystore path: ' + keystorePath
+        );
+        return keystore;
+    }
+
+    /**
+     * Sets the address of the accounts of `w-accounts.json` that only have a keystore, from their keystore.
+     * An unreadable keystore only raises a warning, the account fails when it is used.
+     */
+    _loadKeystoresAddresses() {
+        for (let alias in this.accounts) {
+            let account = this.accounts[alias];
+            if (account.keystore && !account.address) {
+                try {
+                    account.address = Web3.utils.toChecksumAddress('0x' + this._readKeystore(account).address.replace(/^0x/, ''));
+                } catch (err) {
+                    warning(`Unable to read the keystore of the account ${alias}, its address is unknown.`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns an account of `w-accounts.json` from its alias. The alias of an account derived from a mnemonic
+     * is `<name>/<index>`, where the range of indexes is declared as `<name>[<first>..<last>]` in `w-accounts.json`.
+     * @param {string} alias Alias of the account.
+     * @returns {Object} The account, or `null` if the alias is unknown.
+     */
+    _account(alias) {
+        if (!this.accounts || typeof alias !== 'string') return null;
+        if (this.accounts[alias]) return this.accounts[alias];
+        if (this.hdAccounts[alias]) return this.hdAccounts[alias];
+        let match = alias.match(/^(.+)\/(\d+)$/);
+        if (!match) return null;
+        let index = parseInt(match[2]);
+        for (let key in this.accounts) {
+            let range = key.match(/^(.+)\[(\d+)\.\.(\d+)\]$/);
+            if (range && range[1] === match[1] && index >= parseInt(range[2]) && index <= parseInt(range[3])) {
+                this.hdAccounts[alias] = this._deriveAccount(key, index);
+                return this.hdAccounts[alias];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the alias of the account of `w-accounts.json` that can sign for an address, including the
+     * accounts derived from a mnemonic available in `w-accounts.json` or in the environment. The accounts of
+     * `w-accounts.json` are checked before the derived ones, and the alias found is cached.
+     * @param {string} address Address of the account.
+     * @returns {string} The alias, or `null` if no account with a private key or a keystore has this address.
+     */
+    _signerAlias(address) {
+        if (!this.accounts || !address) return null;
+        address = address.toLowerCase();
+        if (this.signerAliases[address]) return this.signerAliases[address];
+        let isSigner = account => account && account.address && (account.key || account.keystore)
+            && account.address.toLowerCase() === address;
+        let ranges = [];
+        for (let alias in this.accounts) {
+            let range = alias.match(/^(.+)\[(\d+)\.\.(\d+)\]$/);
+            if (!range) {
+                if (isSigner(this.accounts[alias])) return (this.signerAliases[address] = alias);
+            } else if (this.accounts[alias].mnemonic || process.env[this.accounts[alias].mnemonicEnv]) {
+                ranges.push(range);
+            }
+        }
+        // the derivation is only done if no account matches, and stops at the first derived match
+        for (let range of ranges) {
+            for (let index = parseInt(range[2]); index <= parseInt(range[3]); index++) {
+                let alias = range[1] + '/' + index;
+                if (isSigner(this._account(alias))) return (this.signerAliases[address] = alias);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Derives an account from a mnemonic declared in `w-accounts.json`, with the fields `mnemonic` (or
+     * `mnemonicEnv`, the name of the environment variable containing it) and `path`, the derivation path
+     * template where `{index}` is replaced by the index of the account. By default, the path is
+     * `m/44'/60'/0'/0/{index}`.
+     * @param {string} key Key of the range of accounts in `w-accounts.json`, as `<name>[<first>..<last>]`.
+     * @param {int} index Index of the account.
+     * @returns {Object} The derived account, with its `address` and its private `key`.
+     */
+    _deriveAccount(key, index) {
+        let entry = this.accounts[key];
+        let mnemonic = entry.mnemonic || process.env[entry.mnemonicEnv];
+        assertRed(
+            mnemonic,
+            'Mnemonic not set in `w-accounts.json` nor in the environment for the given accounts.'
+            + '\nGiven accounts: ' + key
+        );
+        let components = (entry.path || "m/44'/60'/0'/0/{index}").split('/');
+        let position = components.findIndex(component => component.includes('{index}'));
+        assertRed(
+            position > 0,
+            'The derivation path should contain `{index}`.'
+            + '\nGiven accounts: ' + key
+            + '\nGiven path: ' + entry.path
+        );
+        // the common part of the path is derived only once
+        if (!this.hdNodes[key]) {
+            this.hdNodes[key] = HDNode.fromMnemonic(mnemonic).derivePath(components.slice(0, position).join('/'));
+        }
+        let node = this.hdNodes[key].derivePath(components.slice(position).join('/').replace('{index}', index));
+        return { address: node.address, key: node.privateKey };
+    }
+
+    /**
+     * Returns the private key of an account of `w-accounts.json`. If the account has a keystore, it is
+     * decrypted on first use with the password given in the environment variable named by the field
+     * `passwordEnv` of the account (by default `W_KEYSTORE_PASSWORD`), or asked in the terminal.
+     * @param {Object} account Account of `w-accounts.json`.
+     * @returns {Promise<string>} The private key of the account.
+     */
+    async _privateKey(account) {
+        if (account.key) return account.key;
+        assertRed(
+            account.keystore,
+            'Neither private key nor keystore set in `w-accounts.json` for the given account.'
+            + '\nGiven account address: ' + account.address
+        );
+        let address = account.address.toLowerCase();
+        if (!this.keys[address]) {
+            this.keys[address] = (async () => {
+                let password = process.env[account.passwordEnv || 'W_KEYSTORE_PASSWORD'];
+                if (password === undefined) {
+                    password = await askQuestion(colorize(`Password of the keystore of ${account.address} : `, 'yellow'), true);
+                }
+                try {
+                    return (this.web3 || new Web3()).eth.accounts.decrypt(this._readKeystore(account), password).privateKey;
+                } catch (err) {
+                    assertRed(
+                        false,
+                        'Unable to decrypt the keystore.'
+                        + '\nGiven account address: ' + account.address
+                        + '\nError: ' + err.message
+                    );
+                }
+            })();
+            // a wrong password can be retried
+            this.keys[address].catch(() => delete this.keys[address]);
+        }
+        return this.keys[address];
+    }
+
+    /**
+     * Returns an account of `w-accounts.json` that can sign, with a private key or a keystore.
+     * @param {string} alias Alias of the account in `w-accounts.json`.
+     * @returns {Object} The account.
+     */
+    _signerAccount(alias) {
+        this._accountsAssertion();
+        let account = this._account(alias);
+        assertRed(
+            account,
+            'Unknown account alias (not in `w-accounts.json`).'
+            + '\nGiven account alias: ' + alias
+        );
+        assertRed(
+            account.key || account.keystore || false,
+            'Neither private key nor keystore set in `w-accounts.json` for the given alias.'
+            + '\nGiven account alias: ' + alias
+        );
+        if (account.keystore && !account.address) {
+            // the keystore could not be read when loading `w-accounts.json`
+            account.address = Web3.utils.toChecksumAddress('0x' + this._readKeystore(account).address.replace(/^0x/, ''));
+        }
+        return account;
+    }
+
+    /**
+     * Encrypts the private key of an account of `w-accounts.json` in a V3 keystore file, and replaces the
+     * private key by the path of this file in `w-accounts.json`.
+     * @param {string} alias Alias of the account in `w-accounts.json`.
+     * @param {string} password Password of the keystore. If not specified, it is asked in the terminal.
+     * @param {string} keystorePath Path of the keystore file, relative to `w-accounts.json`. By default, it is
+     * `<alias>.keystore.json` next to `w-accounts.json`.
+     * @returns {Promise<string>} The absolute path of the keystore file.
+     */
+    async encryptAccount(alias, password, keystorePath) {
+        this._accountsAssertion();
+        let account = this.accounts[alias];
+        assertRed(
+            account && account.key,
+            'Unknown account alias (not in `w-accounts.json`) or private key not set.'
+            + '\nGiven account alias: ' + alias
+        );
+        if (password === undefined) {
+            password = await askQuestion(colorize(`New password of the keystore of ${alias} : `, 'yellow'), true);
+            let confirmation = await askQuestion(colorize('Confirm the password : ', 'yellow'), true);
+            assertRed(password === confirmation, 'The passwords do not match.');
+        }
+        keystorePath = keystorePath || `${alias}.keystore.json`;
+        let absolutePath = path.resolve(path.dirname(this.accountsPath), keystorePath);
+        assertRed(
+            !fs.existsSync(absolutePath),
+            'The keystore file already exists.'
+            + '\nGiven keystore path: ' + absolutePath
+        );
+        let keystore = (this.web3 || new Web3()).eth.accounts.encrypt(account.key, password);
+        fs.writeFileSync(absolutePath, JSON.stringify(keystore, null, 4));
+
+        let accountsFile = JSON.parse(fs.readFileSync(this.accountsPath, { encoding: 'utf8', flag: 'r' }));
+        accountsFile[alias] = { ...accountsFile[alias], keystore: keystorePath };
+        delete accountsFile[alias].key;
+        fs.writeFileSync(this.accountsPath, JSON.stringify(accountsFile, null, 4) + '\n');
+
+        this.keys[account.address.toLowerCase()] = Promise.resolve(account.key);
+        account.keystore = keystorePath;
+        delete account.key;
+        return absolutePath;
     }
 
     /**
@@ -207,8 +761,8 @@ class W {
             } else {
                 accountAddress = this._toValidAddress(account);
             }
-        } else if (this.accounts && this.accounts[account]) {
-            accountAddress = this.accounts[account].address;
+        } else if (this._account(account)) {
+            accountAddress = this._account(account).address;
         }
         return accountAddress;
     }
@@ -291,12 +845,12 @@ class W {
     }
 
     /**
-     * @param {string} functionName Name of the function to encode
-     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
-     * If there is only one argument to encode, it can be `args = [type, value]`
-     * @returns {string} The encoded data
+     * Splits arguments given as `[type, value]` tuples into their types and their values.
+     * @param {string[][]} args Arguments, as an array of `[type, value]` tuples.
+     * If there is only one argument, it can be `args = [type, value]`
+     * @returns {Array[]} The types and the values of the arguments, as `[types, values]`.
      */
-    _encodeData(functionName, args = null) {
+    _splitArgs(args) {
         let argsTypes = [];
         let argsValues = [];
         if (args && args.length !== 0) {
@@ -309,13 +863,23 @@ class W {
                     argsValues.push(value);
                 });
             }
+        }
+        return [argsTypes, argsValues];
+    }
 
-            for (let i = 0; i < argsTypes.length; i++) {
-                if (argsTypes[i] === 'address') {
-                    argsValues[i] = this._aliasesHandler(argsValues[i]);
-                } else if (argsTypes[i] === 'address[]') {
-                    argsValues[i] = argsValues[i].map(address => this._aliasesHandler(address));
-                }
+    /**
+     * @param {string} functionName Name of the function to encode
+     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
+     * If there is only one argument to encode, it can be `args = [type, value]`
+     * @returns {string} The encoded data
+     */
+    _encodeData(functionName, args = null) {
+        let [argsTypes, argsValues] = this._splitArgs(args);
+        for (let i = 0; i < argsTypes.length; i++) {
+            if (argsTypes[i] === 'address') {
+                argsValues[i] = this._aliasesHandler(argsValues[i]);
+            } else if (argsTypes[i] === 'address[]') {
+                argsValues[i] = argsValues[i].map(address => this._aliasesHandler(address));
             }
         }
 
@@ -329,657 +893,3572 @@ class W {
     }
 
     /**
-     * Switches provider 
-     * @param {string} network Network of the new provider, should appear in `w-providers.json`
-     * @param {string} name Alias of the new provider in `w-providers.json` for the given network
+     * Returns the alias in `w-contracts.json` of a contract address on the current network.
+     * @param {string} address Address of the contract.
+     * @returns {string} Alias of the contract, or `null` if the address has no alias.
      */
-    setProvider(network, name) {
-        let networkProviders = this.providers[network];
-        assertRed(
-            networkProviders,
-            'Network unknown, add it in `providers.json`'
-            + '\nGiven network: ' + network
-        );
-        let rpc = networkProviders[name];
-        assertRed(
-            rpc,
-            'Provider unknown, add it in `providers.json`'
-            + '\nGiven network: ' + network
-            + '\nGiven RPC name: ' + name
-        );
-        this.provider = {
-            network: network,
-            name: name,
-            rpc: rpc
-        };
-        this.web3 = new Web3(rpc)
-        console.log(
-            colorize(`Connected to the provider ${network}/${name} (${rpc})`, 'cyan')
-        );
+    _contractAlias(address) {
+        if (!this.contracts || !this.provider || !this._isAddress(address)) return null;
+        for (let alias in this.contracts) {
+            let aliasAddress = this.contracts[alias][this.provider.network];
+            if (typeof aliasAddress === 'string' && aliasAddress.toLowerCase() === address.toLowerCase()) {
+                return alias;
+            }
+        }
+        return null;
     }
 
     /**
-     * Specify if you want confirmation messages before any `send` to a smart contract.
-     * By defaut, it is set to `false`, no confirmation message appear.
-     * @param {bool} value `true` if you want confirmations messages, else `false`.
+     * Returns the ABI of a contract, if one is given for its alias in `w-contracts.json`. The field `abi`
+     * of an alias is either the ABI itself, or the path of a JSON file containing it, relative to
+     * `w-contracts.json`. This file can also be a compilation artifact with an `abi` field.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`.
+     * @returns {Object[]} ABI of the contract, or `null` if it is unknown.
      */
-    setConfirmations(value) {
-        typeAssertion(value, 'boolean');
-        this.confirmations = value;
+    _contractAbi(contract) {
+        let alias = this.contracts && this.contracts[contract] ? contract : this._contractAlias(contract);
+        if (!alias) return null;
+        if (this.abis[alias] === undefined) {
+            let abi = this.contracts[alias].abi || null;
+            if (typeof abi === 'string') {
+                let abiPath = path.resolve(path.dirname(this.contractsPath), abi);
+                try {
+                    abi = JSON.parse(fs.readFileSync(abiPath, { encoding: 'utf8', flag: 'r' }));
+                } catch {
+                    abi = null;
+                }
+                assertRed(
+                    abi,
+                    'Unable to read the ABI given in `w-contracts.json`.'
+                    + '\nGiven contract alias: ' + alias
+                    + '\nGiven ABI path: ' + abiPath
+                );
+                if (!Array.isArray(abi)) abi = abi.abi;
+            }
+            this.abis[alias] = abi;
+        }
+        return this.abis[alias];
     }
 
     /**
-     * Specify if you want transaction summaries before sending any `call` or `send` to a smart contract.
-     * It won't prevent the transaction from being sent. By defaut, it is set to `false`.
-     * @param {bool} value `true` if you want transaction summaries, else `false`.
+     * Checks if the given `string` is a Solidity type.
+     * @param {string} type String to check.
+     * @returns {bool} Whether `type` is a Solidity type or not.
      */
-    setRecaps(value) {
-        typeAssertion(value, 'boolean');
-        this.recaps = value;
+    _isType(type) {
+        return typeof type === 'string' && /^(address|bool|string|bytes\d*|u?int\d*|\(.*\))(\[\d*\])*$/.test(type);
     }
 
     /**
-     * Specify if you want to print the receipt after a `send` to a smart contract.
-     * By defaut, it is set to `true`.
-     * @param {bool} value `true` if you want receipts, else `false`.
+     * Checks if the arguments are given as `[type, value]` tuples, or as plain values.
+     * @param {Array} args Arguments to check.
+     * @returns {bool} Whether the arguments are given as `[type, value]` tuples or not.
      */
-    setReceipts(value) {
-        typeAssertion(value, 'boolean');
-        this.receipts = value;
+    _isTupleArgs(args) {
+        if (!args || args.length === 0) return true;
+        if (args.length === 2 && this._isType(args[0])) return true;
+        return args.every(arg => Array.isArray(arg) && arg.length === 2 && this._isType(arg[0]));
     }
 
     /**
-     * @notice Sets the value unit for all the further transactions.
-     * By default, it is set to `'ether'`.
-     * @param {string} unit New value unit. The following variables can be used : 
-     * `w.WEI`, `w.GWEI`, `w.MICROETHER`, `w.MILLIETHER`, `w.ETHER`.
+     * @param {Object} abiItem ABI of a function.
+     * @returns {string} Signature of the function, as `name(type1,type2)`.
      */
-    setValueUnit(unit) {
-        this.valueUnit = unit;
+    _abiSignature(abiItem) {
+        return this.web3.utils._jsonInterfaceMethodToString(abiItem);
     }
 
     /**
-     * Sets the gas price unit for all the further transactions.
-     * By default, it is set to `'gwei'`.
-     * @param {string} unit New gas price unit. The following variables can be used : 
-     * `w.WEI`, `w.GWEI`, `w.MICROETHER`, `w.MILLIETHER`, `w.ETHER`.
+     * Checks if a value can be encoded as an ABI parameter.
+     * @param {Object} param ABI of the parameter.
+     * @param {*} value Value to check.
+     * @returns {bool} Whether `value` can be encoded as `param` or not.
      */
-    setGasPriceUnit(unit) {
-        this.gaspriceUnit = unit;
+    _matchesAbiType(param, value) {
+        let type = param.type;
+        let arrayMatch = type.match(/^(.*)\[(\d*)\]$/);
+        if (arrayMatch) {
+            return Array.isArray(value)
+                && (arrayMatch[2] === '' || value.length === parseInt(arrayMatch[2]))
+                && value.every(element => this._matchesAbiType({ ...param, type: arrayMatch[1] }, element));
+        }
+        if (type === 'tuple') return value !== null && typeof value === 'object';
+        if (type === 'address') return typeof value === 'string' && this._aliasesHandler(value) !== null;
+        if (type === 'bool') return typeof value === 'boolean';
+        if (type === 'string') return typeof value === 'string';
+        if (type.startsWith('bytes')) {
+            return typeof value === 'string'
+                && /^0x([0-9a-fA-F]{2})*$/.test(value)
+                && (type === 'bytes' || value.length <= 2 + 2 * parseInt(type.slice('bytes'.length)));
+        }
+        if (/^u?int/.test(type)) {
+            return typeof value === 'number'
+                || typeof value === 'bigint'
+                || this.web3.utils.isBN(value)
+                || this.web3.utils.isBigNumber(value)
+                || (typeof value === 'string' && /^(-?\d+|0x[0-9a-fA-F]+)$/.test(value));
+        }
+        return true;
     }
 
     /**
-     * Sets the block in which to perform all the next calls.
-     * @param {String} block The block in which to perform all the next calls.
+     * Replaces the aliases by their addresses in a value to be encoded as an ABI parameter.
+     * @param {Object} param ABI of the parameter.
+     * @param {*} value Value to be encoded.
+     * @returns {*} The value, with the aliases replaced by their addresses.
      */
-    setBlockCall(block) {
-        this.blockCall = block;
+    _resolveAbiAliases(param, value) {
+        let arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+        if (arrayMatch) {
+            return value.map(element => this._resolveAbiAliases({ ...param, type: arrayMatch[1] }, element));
+        }
+        if (param.type === 'address') return this._aliasesHandler(value);
+        if (param.type === 'tuple') {
+            if (Array.isArray(value)) {
+                return value.map((element, i) => this._resolveAbiAliases(param.components[i], element));
+            }
+            let resolved = {};
+            for (let component of param.components) {
+                resolved[component.name] = this._resolveAbiAliases(component, value[component.name]);
+            }
+            return resolved;
+        }
+        return value;
     }
 
     /**
-     * Converts `value` from the unit set by `setValueUnit`. By default, the unit is `'ether'`.
-     * @param {integer} value Value to convert
-     * @returns The converted amount
+     * Finds the function of an ABI corresponding to the given name and arguments. If the function is
+     * overloaded, the overload is chosen from the number and the types of the arguments.
+     * @param {Object[]} abi ABI of the contract.
+     * @param {string} functionName Name of the function, or its full signature (`name(type1,type2)`).
+     * @param {Array} args Arguments of the function, as plain values. If `null`, the overload is not checked.
+     * @returns {Object} ABI of the function, or `null` if the function is not in the ABI.
      */
-    _convertValue(value) {
-        this._web3Assertion();
-        return this.web3.utils.toWei(value.toString(), this.valueUnit);
+    _abiFunction(abi, functionName, args) {
+        let signature = functionName.includes('(') ? functionName.replace(/\s/g, '') : null;
+        let candidates = abi.filter(item => item.type === 'function'
+            && (signature ? this._abiSignature(item) === signature : item.name === functionName));
+        if (candidates.length === 0 || !args) return candidates[0] || null;
+
+        let matching = candidates.filter(item => item.inputs.length === args.length
+            && item.inputs.every((input, i) => this._matchesAbiType(input, args[i])));
+        assertRed(
+            matching.length !== 0,
+            'No overload of the function matches the given arguments.'
+            + '\nGiven function: ' + functionName
+            + '\nAvailable overloads: ' + candidates.map(item => this._abiSignature(item)).join(', ')
+        );
+        assertRed(
+            matching.length === 1,
+            'Several overloads of the function match the given arguments, give its full signature instead.'
+            + '\nGiven function: ' + functionName
+            + '\nMatching overloads: ' + matching.map(item => this._abiSignature(item)).join(', ')
+        );
+        return matching[0];
     }
 
     /**
-     * Converts `gas` from the unit set by `setGasPriceUnit`. By default, the unit is `'gwei'`.
-     * @param {integer} value Gas to convert
-     * @returns The converted amount
+     * Encodes a call to a function of a contract. If the ABI of the contract is known, the arguments can be
+     * given as plain values, their types are inferred from the ABI. Otherwise, they must be given as
+     * `[type, value]` tuples.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`.
+     * @param {string} functionName Name of the function, or its full signature (`name(type1,type2)`).
+     * @param {Array} args Arguments to encode, as plain values or as an array of `[type, value]` tuples.
+     * @returns {Object} The encoded data as `data`, and the ABI of the function as `abiItem` if it is known.
      */
-    _convertGasPrice(gas) {
+    _encodeCall(contract, functionName, args) {
+        this._web3Assertion();
+        let abi = this._contractAbi(contract);
+        if (!abi || this._isTupleArgs(args)) {
+            let abiItem = null;
+            if (abi) {
+                let name = functionName.includes('(') ? functionName.slice(0, functionName.indexOf('(')) : functionName;
+                abiItem = this._abiFunction(abi, `${name}(${this._splitArgs(args)[0].join(',')})`, null);
+            }
+            return { data: this._encodeData(functionName, args), abiItem: abiItem };
+        }
+
+        let abiItem = this._abiFunction(abi, functionName, args);
+        assertRed(
+            abiItem,
+            'Function not found in the ABI of the contract.'
+            + '\nGiven contract: ' + contract
+            + '\nGiven function: ' + functionName
+        );
+        let values = abiItem.inputs.map((input, i) => this._resolveAbiAliases(input, args[i]));
+        return { data: this.web3.eth.abi.encodeFunctionCall(abiItem, values), abiItem: abiItem };
+    }
+
+    /**
+     * Decodes the output of a function from its ABI.
+     * @param {Object} abiItem ABI of the function.
+     * @param {string} data Encoded output.
+     * @returns {*} The decoded output. If the function returns several values, they can be accessed by index
+     * or by name.
+     */
+    _decodeOutputs(abiItem, data) {
+        this._web3Assertion();
+        if (abiItem.outputs.length === 0) return null;
+        if (abiItem.outputs.length === 1) return this.web3.eth.abi.decodeParameter(abiItem.outputs[0], data);
+        return this.web3.eth.abi.decodeParameters(abiItem.outputs, data);
+    }
+
+    /**
+     * Extracts the revert data from an error returned by the node.
+     * @param {Error} err Error returned by the node.
+     * @returns {string} The revert data, or `null` if the error does not contain any.
+     */
+    _revertData(err) {
+        let data = err ? err.data : null;
+        if (data && typeof data === 'object') data = data.result || data.data;
+        return typeof data === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(data) ? data : null;
+    }
+
+    /**
+     * Explanations of the codes of `Panic(uint256)`, raised by the Solidity compiler checks.
+     */
+    static get PANIC_CODES() {
+        return {
+            0x00: 'generic compiler panic',
+            0x01: 'assertion failed',
+            0x11: 'arithmetic overflow or underflow',
+            0x12: 'division or modulo by zero',
+            0x21: 'invalid enum conversion',
+            0x22: 'incorrectly encoded storage byte array',
+            0x31: 'pop on an empty array',
+            0x32: 'array index out of bounds',
+            0x41: 'too much memory allocated',
+            0x51: 'call to a zero-initialized internal function'
+        };
+    }
+
+    /**
+     * Decodes revert data: `Error(string)`, `Panic(uint256)`, or a custom error of the ABI of the contract.
+     * If the custom error is not in the ABI of the contract, it is searched in all the ABIs of `w-contracts.json`,
+     * since it may come from a nested call.
+     * @param {string} data Revert data.
+     * @param {string} contract Address of the contract that reverted or its alias in `w-contracts.json`.
+     * Can be `null` or `undefined`.
+     * @returns {Object} The decoded revert: its readable `message`, the `name` and the `args` of the error,
+     * and the raw `data`.
+     */
+    decodeRevert(data, contract) {
+        this._web3Assertion();
+        if (!data || data === '0x') {
+            return { message: 'reverted without reason', name: null, args: null, data: data || '0x' };
+        }
+        let selector = data.slice(0, 10).toLowerCase();
+        let encodedArgs = '0x' + data.slice(10);
+        try {
+            if (selector === '0x08c379a0') {
+                let reason = this.web3.eth.abi.decodeParameter('string', encodedArgs);
+                return { message: reason, name: 'Error', args: [reason], data: data };
+            }
+            if (selector === '0x4e487b71') {
+                let code = parseInt(this.web3.eth.abi.decodeParameter('uint256', encodedArgs));
+                let explanation = W.PANIC_CODES[code] || 'unknown panic code';
+                return {
+                    message: `Panic(0x${code.toString(16).padStart(2, '0')}): ${explanation}`,
+                    name: 'Panic',
+                    args: [code],
+                    data: data
+                };
+            }
+            let abis = [this._contractAbi(contract)];
+            if (this.contracts) abis.push(...Object.keys(this.contracts).map(alias => this._contractAbi(alias)));
+            for (let abi of abis.filter(abi => abi)) {
+                let errorAbi = abi.find(item => item.type === 'error'
+                    && this.web3.eth.abi.encodeFunctionSignature(item).toLowerCase() === selector);
+                if (errorAbi) {
+                    let args = this.web3.eth.abi.decodeParameters(errorAbi.inputs, encodedArgs);
+                    let values = errorAbi.inputs.map((input, i) => args[i]);
+                    return {
+                        message: `${errorAbi.name}(${values.map(value => JSON.stringify(value)).join(', ')})`,
+                        name: errorAbi.name,
+                        args: args,
+                        data: data
+                    };
+                }
+            }
+        } catch { }
+        return { message: 'unknown revert data ' + data, name: null, args: null, data: data };
+    }
+
+    /**
+     * Decodes revert data into a readable message.
+     * @param {string} data Revert data.
+     * @param {string} contract Address of the contract that reverted or its alias in `w-contracts.json`.
+     * Can be `null` or `undefined`.
+     * @returns {string} The revert reason.
+     */
+    _decodeRevert(data, contract) {
+        return this.decodeRevert(data, contract).message;
+    }
+
+    /**
+     * @param {Error} err Error returned by the node.
+     * @param {string} contract Address of the contract that reverted or its alias in `w-contracts.json`.
+     * Can be `null` or `undefined`.
+     * @returns {string} The revert reason contained in the error, or its message if it does not contain any
+     * revert data.
+     */
+    _revertReason(err, contract) {
+        let data = this._revertData(err);
+        return data ? this._decodeRevert(data, contract) : (err && err.message) || String(err);
+    }
+
+    /**
+     * Builds an error with the decoded revert reason, from an error returned by the node.
+     * @param {Error} err Error returned by the node.
+     * @param {string} contract Address of the contract that reverted or its alias in `w-contracts.json`.
+     * @returns {Error} The error with the decoded reason as message and the decoded revert as `revert`, or
+     * `err` itself if it does not contain any revert data.
+     */
+    _revertError(err, contract) {
+        let data = this._revertData(err);
+        if (!data) return err;
+        let revert = this.decodeRevert(data, contract);
+        let error = new Error('Execution reverted: ' + revert.message);
+        error.revert = revert;
+        error.data = data;
+        return error;
+    }
+
+    /**
+     * Switches provider 
+     * @param {string} network Network of the new provider, should appear in `w-providers.json`
+     * @param {string | string[]} name Alias of the new provider in `w-providers.json` for the given network.
+     * If it is an array of aliases, or if it is not specified, the requests are spread over these providers
+     * (or all the providers of the network) according to the policy set in the `options` of the network.
+     */
+    setProvider(network, name) {
+        this._providersAssertion();
+        let networkProviders = this.providers[network];
+        assertRed(
+            networkProviders,
+            'Network unknown, add it in `providers.json`'
+            + '\nGiven network: ' + network
+        );
+        let names = name === undefined || name === null
+            ? Object.keys(networkProviders).filter(key => key !== 'options')
+            : [].concat(name);
+        for (let providerName of names) {
+            assertRed(
+                typeof networkProviders[providerName] === 'string',
+                'Provider unknown, add it in `providers.json`'
+                + '\nGiven network: ' + network
+                + '\nGiven RPC name: ' + providerName
+            );
+        }
+        if (this.subscriptions.length > 0) {
+            warning('The provider changed, all the subscriptions are cancelled.');
+            this.unsubscribeAll();
+        }
+        this._disconnectProvider();
+
+        if (typeof name === 'string') {
+            let rpc = networkProviders[name];
+            this.provider = {
+                network: network,
+                name: name,
+                rpc: rpc
+            };
+            if (/^wss?:\/\//i.test(rpc)) {
+                let websocketProvider = this._websocketProvider(rpc, (newProvider) => {
+                    if (this.web3 && this.web3.currentProvider === websocketProvider) {
+                        websocketProvider = newProvider;
+                        this.web3.setProvider(newProvider);
+                        // the block subscription stayed on the closed provider
+                        if (this.watcher) {
+                            this._stopWatcher();
+                            this._startWatcher();
+                        }
+                    }
+                });
+                this.web3 = new Web3(websocketProvider);
+            } else {
+                this.web3 = new Web3(rpc);
+            }
+            console.log(
+                colorize(`Connected to the provider ${network}/${name} (${rpc})`, 'cyan')
+            );
+        } else {
+            let endpoints = names.map(providerName => {
+                let rpc = networkProviders[providerName];
+                let endpoint = { name: providerName, rpc: rpc };
+                endpoint.provider = /^wss?:\/\//i.test(rpc)
+                    ? this._websocketProvider(rpc, newProvider => endpoint.provider = newProvider)
+                    : new Web3.providers.HttpProvider(rpc);
+                return endpoint;
+            });
+            let fallbackProvider = new FallbackProvider(endpoints, networkProviders.options);
+            this.provider = {
+                network: network,
+                name: names,
+                rpc: names.map(providerName => networkProviders[providerName]),
+                policy: fallbackProvider.policy
+            };
+            this.web3 = new Web3(fallbackProvider);
+            console.log(
+                colorize(`Connected to the providers ${network}/${names.join(', ')} (${fallbackProvider.policy})`, 'cyan')
+            );
+        }
+    }
+
+    /**
+     * Creates a websocket provider that reconnects when the connection is lost. Once reconnected, the
+     * subscriptions are caught up from their last block.
+     * @param {string} rpc URL of the websocket.
+     * @param {function} replace Called with a new websocket provider when the connection has been closed
+     * cleanly, since the provider only reconnects by itself after an unclean close.
+     * @returns {Object} The websocket provider.
+     */
+    _websocketProvider(rpc, replace) {
+        let websocketProvider = new Web3.providers.WebsocketProvider(rpc, {
+            reconnect: { auto: true, delay: 1000, maxAttempts: false, onTimeout: true },
+            clientConfig: { keepalive: true, keepaliveInterval: 30000 }
+        });
+        websocketProvider.on('connect', () => this._onHead(null));
+        websocketProvider.on('close', () => {
+            if (websocketProvider.discarded) return;
+            websocketProvider.discarded = true;
+            replace(this._websocketProvider(rpc, replace));
+            try {
+                websocketProvider.disconnect(1000, 'Replaced');
+            } catch { }
+        });
+        return websocketProvider;
+    }
+
+    /**
+     * Closes the websocket connections of the current provider, without reconnecting them.
+     */
+    _disconnectProvider() {
+        let currentProvider = this.web3 ? this.web3.currentProvider : null;
+        if (!currentProvider) return;
+        let providers = currentProvider instanceof FallbackProvider
+            ? currentProvider.endpoints.map(endpoint => endpoint.provider)
+            : [currentProvider];
+        for (let provider of providers) {
+            if (!(provider instanceof Web3.providers.WebsocketProvider)) continue;
+            provider.discarded = true;
+            try {
+                provider.disconnect(1000, 'Provider changed');
+            } catch { }
+        }
+    }
+
+    /**
+     * Returns the health statistics of the providers, when the requests are spread over several providers.
+     * @returns {Object[]} For each provider, its `name`, its `rpc`, whether it is `healthy`, its number of
+     * `requests`, `successes`, `failures` and `rateLimits`, its `averageLatency` in ms, its `lastError` and
+     * the date of its `lastFailure`.
+     */
+    providerStats() {
+        this._web3Assertion();
+        assertRed(
+            this.web3.currentProvider instanceof FallbackProvider,
+            'Only one provider is used, set several providers with `w.setProvider(network)`.'
+        );
+        return this.web3.currentProvider.stats();
+    }
+
+    /**
+     * Prints the health statistics of the providers, when the requests are spread over several providers.
+     */
+    printProviderStats() {
+        console.table(this.providerStats());
+    }
+
+    /**
+     * Specify if you want confirmation messages before any `send` to a smart contract.
+     * By defaut, it is set to `false`, no confirmation message appear.
+     * @param {bool} value `true` if you want confirmations messages, else `false`.
+     */
+    setConfirmations(value) {
+        typeAssertion(value, 'boolean');
+        this.confirmations = value;
+    }
+
+    /**
+     * Specify if you want to simulate the transactions instead of broadcasting them. In dry-run mode, `send`,
+     * `transfer`, `multiSend` and `deploy` resolve the nonces, sign the transactions and execute them with
+     * `eth_call` against the current block, but never broadcast them.
+     * By default, it is set to `false`.
+     * @param {bool} value `true` if you want to simulate the transactions, else `false`.
+     */
+    setDryRun(value) {
+        typeAssertion(value, 'boolean');
+        this.dryRun = value;
+    }
+
+    /**
+     * Specify if you want transaction summaries before sending any `call` or `send` to a smart contract.
+     * It won't prevent the transaction from being sent. By defaut, it is set to `false`.
+     * @param {bool} value `true` if you want transaction summaries, else `false`.
+     */
+    setRecaps(value) {
+        typeAssertion(value, 'boolean');
+        this.recaps = value;
+    }
+
+    /**
+     * Specify if you want to print the receipt after a `send` to a smart contract.
+     * By defaut, it is set to `true`.
+     * @param {bool} value `true` if you want receipts, else `false`.
+     */
+    setReceipts(value) {
+        typeAssertion(value, 'boolean');
+        this.receipts = value;
+    }
+
+    /**
+     * @notice Sets the value unit for all the further transactions.
+     * By default, it is set to `'ether'`.
+     * @param {string} unit New value unit. The following variables can be used : 
+     * `w.WEI`, `w.GWEI`, `w.MICROETHER`, `w.MILLIETHER`, `w.ETHER`.
+     */
+    setValueUnit(unit) {
+        this.valueUnit = unit;
+    }
+
+    /**
+     * Sets the gas price unit for all the further transactions.
+     * By default, it is set to `'gwei'`.
+     * @param {string} unit New gas price unit. The following variables can be used : 
+     * `w.WEI`, `w.GWEI`, `w.MICROETHER`, `w.MILLIETHER`, `w.ETHER`.
+     */
+    setGasPriceUnit(unit) {
+        this.gasPriceUnit = unit;
+    }
+
+    /**
+     * Sets the multiplier applied to the gas estimations, when the gas limit of a transaction is not specified.
+     * By default, it is set to `1.2`.
+     * @param {number} multiplier New gas multiplier, at least `1`.
+     */
+    setGasMultiplier(multiplier) {
+        typeAssertion(multiplier, 'number');
+        assertRed(
+            multiplier >= 1,
+            'The gas multiplier cannot be lower than 1.'
+            + '\nGiven multiplier: ' + multiplier
+        );
+        this.gasMultiplier = multiplier;
+    }
+
+    /**
+     * Sets the interval between two polls of the provider, for the subscriptions made through an HTTP provider.
+     * By default, it is set to `4000` ms.
+     * @param {int} interval New polling interval, in milliseconds.
+     */
+    setPollingInterval(interval) {
+        typeAssertion(interval, 'number');
+        this.pollingInterval = interval;
+        if (this.watcher && this.watcher.interval) {
+            this._stopWatcher();
+            this._startWatcher();
+        }
+    }
+
+    /**
+     * Sets the block in which to perform all the next calls.
+     * @param {String} block The block in which to perform all the next calls.
+     */
+    setBlockCall(block) {
+        this.blockCall = block;
+    }
+
+    /**
+     * Sets the import remappings used when compiling contracts, as `prefix=target` strings, where the target
+     * is a path relative to the current directory. For example, `'@openzeppelin/=lib/openzeppelin/'`.
+     * By default, there is no remapping, and the imports are resolved from the current directory, then
+     * from the `node_modules` folders.
+     * @param {string[]} remappings The remappings.
+     */
+    setRemappings(remappings) {
+        assertRed(
+            Array.isArray(remappings) && remappings.every(remapping => /^[^=]*=.*$/.test(remapping)),
+            'The remappings should be an array of `prefix=target` strings.'
+            + '\nGiven : ' + JSON.stringify(remappings)
+        );
+        this.remappings = remappings;
+    }
+
+    /**
+     * Sets the version of the Solidity compiler. The builds of the compiler are downloaded from
+     * `binaries.soliditylang.org` on first use, and kept in a local cache directory.
+     * They are checked against the hashes of the list of the releases before being used.
+     * By default, the compiler bundled with this library is used.
+     * @param {string} version Version of the compiler, as `0.8.19` or as a full build name like
+     * `v0.8.19+commit.7dd6d404`. `'pragma'` selects the latest release satisfying the `pragma solidity` of
+     * the compiled files, imported ones excluded, and `'bundled'` restores the bundled compiler.
+     * @param {string} cacheDir Directory in which the builds are kept. By default, it is
+     * `~/.cache/web3-simplified/solc`. Can be `null` or `undefined`.
+     */
+    setSolcVersion(version, cacheDir) {
+        typeAssertion(version, 'string');
+        assertRed(
+            ['bundled', 'pragma'].includes(version) || /^v?\d+\.\d+\.\d+(\+commit\.[0-9a-f]+)?$/.test(version),
+            'Invalid compiler version, it should be `bundled`, `pragma`, a version like `0.8.19`, or a full build name.'
+            + '\nGiven : ' + version
+        );
+        this.solcVersion = version === 'bundled' ? null : version;
+        if (cacheDir) {
+            this.solcCache = cacheDir;
+            this.solcReleases = null;
+            this.solcBuilds = null;
+        }
+    }
+
+    /**
+     * Sets the settings of the Solidity compiler, as in its standard JSON input: `evmVersion`, `viaIR`,
+     * `optimizer` (with its `details`), `libraries`, `metadata`... The addresses of the libraries can be
+     * given as aliases of `w-contracts.json`. The output selection is always set by this library, and the
+     * number of runs given to `compile` or `deploy` enables the optimizer with this number of runs.
+     * @param {Object} settings The settings.
+     */
+    setCompilerSettings(settings) {
+        typeAssertion(settings, 'object');
+        assertRed(
+            settings !== null && !Array.isArray(settings),
+            'The compiler settings should be an object.'
+            + '\nGiven : ' + JSON.stringify(settings)
+        );
+        this.compilerSettings = settings;
+    }
+
+    /**
+     * Converts `value` from the unit set by `setValueUnit`. By default, the unit is `'ether'`.
+     * @param {integer} value Value to convert
+     * @returns The converted amount
+     */
+    _convertValue(value) {
+        this._web3Assertion();
+        return this.web3.utils.toWei(value.toString(), this.valueUnit);
+    }
+
+    /**
+     * Converts a decimal amount of token to its base units, without floating-point loss.
+     * @param {string | number} amount Amount to convert, as `'1234.56'`.
+     * @param {int} decimals Decimals of the token.
+     * @returns {string} The amount in base units.
+     */
+    _parseUnits(amount, decimals) {
+        let match = String(amount).match(/^(\d*)(?:\.(\d*))?$/);
+        assertRed(
+            match && (match[1] || match[2]) && (match[2] || '').length <= decimals,
+            `Invalid amount, it should be a positive decimal number with at most ${decimals} decimals.`
+            + '\nGiven : ' + amount
+        );
+        return Web3.utils.toBN((match[1] + (match[2] || '').padEnd(decimals, '0')) || '0').toString();
+    }
+
+    /**
+     * Converts an amount of token in base units to a decimal amount, without floating-point loss.
+     * @param {string | BN} value Amount in base units.
+     * @param {int} decimals Decimals of the token.
+     * @returns {string} The decimal amount, as `'1234.56'`.
+     */
+    _formatUnits(value, decimals) {
+        let digits = value.toString().padStart(decimals + 1, '0');
+        let integer = digits.slice(0, digits.length - decimals);
+        let fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+        return fraction ? integer + '.' + fraction : integer;
+    }
+
+    /**
+     * Returns the decimals and the symbol of an ERC20 token. They are queried once per token and network.
+     * If the token has no `symbol()`, its alias or address is used instead.
+     * @param {string} token Address of the token or its alias in `w-contracts.json`.
+     * @returns {Promise<Object>} `{ decimals, symbol }`.
+     */
+    async _tokenInfo(token) {
+        this._web3Assertion();
+        let address = this._contractsAliasesHandler(token);
+        assertRed(
+            address,
+            'Unknown contract alias (not in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + token
+        );
+        let key = this.provider.network + ':' + address.toLowerCase();
+        if (this.tokens[key]) return this.tokens[key];
+
+        // selectors of `decimals()` and `symbol()`
+        let [decimals, symbol] = await Promise.all([
+            this.web3.eth.call({ to: address, data: '0x313ce567' }, this.blockCall).catch(() => '0x'),
+            this.web3.eth.call({ to: address, data: '0x95d89b41' }, this.blockCall).catch(() => '0x')
+        ]);
+        assertRed(
+            decimals.length === 66,
+            'Unable to get the decimals of the token, it should implement `decimals()`.'
+            + '\nGiven : ' + token
+        );
+        try {
+            // some old tokens return their symbol as a `bytes32`
+            symbol = symbol.length === 66
+                ? Web3.utils.hexToUtf8(symbol)
+                : this.web3.eth.abi.decodeParameter('string', symbol);
+        } catch {
+            symbol = '';
+        }
+        this.tokens[key] = {
+            decimals: Web3.utils.hexToNumber(decimals),
+            symbol: symbol || token
+        };
+        return this.tokens[key];
+    }
+
+    /**
+     * Converts `gas` from the unit set by `setGasPriceUnit`. By default, the unit is `'gwei'`.
+     * @param {integer} value Gas to convert
+     * @returns The converted amount
+     */
+    _convertGasPrice(gas) {
         this._web3Assertion();
         return this.web3.utils.toWei(gas.toString(), this.gasPriceUnit);
     }
 
     /**
-     * Returns the nonce of an address (number of transactions if it is an EOA, number of contract deployed if it is a contract).
-     * @param {string} account Address or its alias in `w-accounts.json` or in `w-contracts.json`
-     * @returns {Promise} Nonce of the address.
+     * Converts the fees of a transaction from the unit set by `setGasPriceUnit`.
+     * @param {int | Object} gasPrice Gas price of a legacy transaction, or an object with the fields
+     * `maxFeePerGas` and/or `maxPriorityFeePerGas` for an EIP-1559 transaction. Can be `null` or `undefined`.
+     * @returns {Object} The converted fee fields of the transaction.
+     */
+    _convertFees(gasPrice) {
+        let fees = {};
+        if (gasPrice !== null && typeof gasPrice === 'object') {
+            if (gasPrice.maxFeePerGas !== undefined) {
+                fees.maxFeePerGas = this._convertGasPrice(gasPrice.maxFeePerGas);
+            }
+            if (gasPrice.maxPriorityFeePerGas !== undefined) {
+                fees.maxPriorityFeePerGas = this._convertGasPrice(gasPrice.maxPriorityFeePerGas);
+            }
+        } else if (gasPrice) {
+            fees.gasPrice = this._convertGasPrice(gasPrice);
+        }
+        return fees;
+    }
+
+    /**
+     * Returns the fee mode of the current network: `'legacy'` or `'eip1559'`. It is read from the field
+     * `options.fees` of the network in `w-providers.json`. If it is not specified, it is `'eip1559'` if the
+     * latest block has a base fee, else `'legacy'`.
+     * @returns {Promise<string>} Fee mode of the network.
+     */
+    async _feeMode() {
+        this._web3Assertion();
+        if (!this.provider.feeMode) {
+            let options = this.providers[this.provider.network].options;
+            if (options && options.fees) {
+                assertRed(
+                    ['legacy', 'eip1559'].includes(options.fees),
+                    'Unknown fee mode in `w-providers.json`, it should be `legacy` or `eip1559`.'
+                    + '\nGiven network: ' + this.provider.network
+                    + '\nGiven fee mode: ' + options.fees
+                );
+                this.provider.feeMode = options.fees;
+            } else {
+                let block = await this.web3.eth.getBlock('latest');
+                this.provider.feeMode = block.baseFeePerGas !== undefined ? 'eip1559' : 'legacy';
+            }
+        }
+        return this.provider.feeMode;
+    }
+
+    /**
+     * Returns EIP-1559 fees suggested from the base fee of the next block and the priority fees paid in
+     * the last blocks (`eth_feeHistory`). The maximum fee leaves room for the base fee to double.
+     * @returns {Promise<Object>} The suggested `baseFeePerGas`, `maxFeePerGas` and `maxPriorityFeePerGas`, in wei.
+     */
+    async suggestFees() {
+        this._web3Assertion();
+        const blockCount = 10;
+        const rewardPercentile = 50;
+        let toBN = this.web3.utils.toBN;
+        let history = await this.web3.eth.getFeeHistory(blockCount, 'latest', [rewardPercentile]);
+        let baseFee = toBN(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+        let rewards = (history.reward || []).map(reward => toBN(reward[0])).sort((a, b) => a.cmp(b));
+        let priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : toBN(0);
+        return {
+            baseFeePerGas: baseFee.toString(),
+            maxFeePerGas: baseFee.muln(2).add(priorityFee).toString(),
+            maxPriorityFeePerGas: priorityFee.toString()
+        };
+    }
+
+    /**
+     * Prints EIP-1559 fees suggested from the base fee of the next block and the priority fees paid in
+     * the last blocks, in the unit set by `setGasPriceUnit`.
+     */
+    printSuggestedFees() {
+        this.suggestFees().then((fees) => {
+            console.log(this._feesRecap(fees));
+        });
+    }
+
+    /**
+     * Completes the missing fee fields of a transaction. If the transaction has neither a gas price nor
+     * EIP-1559 fees, they are set according to the fee mode of the network.
+     * @param {Object} transaction Transaction to complete.
+     * @returns {Promise<Object>} The completed transaction.
+     */
+    async _applyFees(transaction) {
+        if (transaction.gasPrice) return transaction;
+        let isEip1559 = transaction.maxFeePerGas !== undefined
+            || transaction.maxPriorityFeePerGas !== undefined
+            || await this._feeMode() === 'eip1559';
+        if (!isEip1559) {
+            transaction.gasPrice = await this.web3.eth.getGasPrice();
+            return transaction;
+        }
+
+        let toBN = this.web3.utils.toBN;
+        if (transaction.maxFeePerGas === undefined || transaction.maxPriorityFeePerGas === undefined) {
+            let fees = await this.suggestFees();
+            if (transaction.maxPriorityFeePerGas === undefined) {
+                transaction.maxPriorityFeePerGas = transaction.maxFeePerGas === undefined
+                    ? fees.maxPriorityFeePerGas
+                    : this.web3.utils.BN.min(toBN(fees.maxPriorityFeePerGas), toBN(transaction.maxFeePerGas)).toString();
+            }
+            if (transaction.maxFeePerGas === undefined) {
+                transaction.maxFeePerGas = toBN(fees.baseFeePerGas).muln(2)
+                    .add(toBN(transaction.maxPriorityFeePerGas)).toString();
+            }
+        }
+        assertRed(
+            toBN(transaction.maxPriorityFeePerGas).lte(toBN(transaction.maxFeePerGas)),
+            '`maxPriorityFeePerGas` cannot be greater than `maxFeePerGas`.'
+            + '\nGiven maxFeePerGas: ' + transaction.maxFeePerGas
+            + '\nGiven maxPriorityFeePerGas: ' + transaction.maxPriorityFeePerGas
+        );
+        return transaction;
+    }
+
+    /**
+     * Sets the gas limit of a transaction if it is not specified, from an estimation (`eth_estimateGas`)
+     * multiplied by the multiplier set by `setGasMultiplier`. If the estimation reverts, it throws an error
+     * with the revert reason.
+     * @param {Object} transaction Transaction to complete.
+     * @returns {Promise<Object>} The completed transaction.
+     */
+    async _applyGasLimit(transaction) {
+        if (transaction.gas) return transaction;
+        this._web3Assertion();
+        let estimation = {
+            from: transaction.from,
+            to: transaction.to,
+            data: transaction.data,
+            value: transaction.value
+        };
+        let estimatedGas;
+        try {
+            estimatedGas = await this.web3.eth.estimateGas(estimation);
+        } catch (err) {
+            if (this.dryRun) {
+                // the simulation reports the revert, the transaction is signed with the block gas limit
+                transaction.gas = (await this.web3.eth.getBlock('latest')).gasLimit;
+                return transaction;
+            }
+            assertRed(
+                false,
+                'Gas estimation failed, the transaction would revert.'
+                + '\nReason: ' + this._revertReason(err, transaction.to)
+            );
+        }
+        transaction.gas = Math.ceil(estimatedGas * this.gasMultiplier);
+        return transaction;
+    }
+
+    /**
+     * @param {Object} transaction Transaction, or any object with fee fields in wei.
+     * @returns {string} The fee fields of the transaction, in the unit set by `setGasPriceUnit`.
+     */
+    _feesRecap(transaction) {
+        return ['gasPrice', 'baseFeePerGas', 'maxFeePerGas', 'maxPriorityFeePerGas']
+            .filter(field => transaction[field] !== undefined)
+            .map(field => `${field}: ${this.web3.utils.fromWei(transaction[field].toString(), this.gasPriceUnit)} ${this.gasPriceUnit}`)
+            .join(', ');
+    }
+
+    /**
+     * Simulates a signed transaction with `eth_call` against the current block, without broadcasting it.
+     * @param {Object} transaction Transaction, with its resolved `from` address.
+     * @param {Object} signedTransaction Transaction signed by `web3.eth.accounts.signTransaction`.
+     * @returns {Promise<Object>} The simulated result: `success`, the estimated `gasUsed`, the `returnValue`
+     * (decoded if the ABI of the called function is known), the `revertReason`, the `transaction`, its
+     * `transactionHash` and its `rawTransaction`.
+     */
+    async _simulate(transaction, signedTransaction) {
+        let call = { from: transaction.from, data: transaction.data, value: transaction.value };
+        if (transaction.to) call.to = transaction.to;
+        let simulation = {
+            dryRun: true,
+            success: true,
+            gasUsed: null,
+            returnValue: null,
+            revertReason: null
+        };
+        try {
+            let output = await this.web3.eth.call({ ...call, gas: transaction.gas }, 'latest');
+            let abi = transaction.to && transaction.data ? this._contractAbi(transaction.to) : null;
+            let selector = transaction.data ? transaction.data.slice(0, 10).toLowerCase() : null;
+            let abiItem = abi ? abi.find(item => item.type === 'function'
+                && this.web3.eth.abi.encodeFunctionSignature(item) === selector) : null;
+            simulation.returnValue = abiItem ? this._decodeOutputs(abiItem, output) : output;
+            simulation.gasUsed = await this.web3.eth.estimateGas(call).catch(() => null);
+        } catch (err) {
+            simulation.success = false;
+            simulation.revertReason = this._revertReason(err, transaction.to);
+        }
+        simulation.transaction = transaction;
+        simulation.transactionHash = signedTransaction.transactionHash;
+        simulation.rawTransaction = signedTransaction.rawTransaction;
+        if (this.receipts) {
+            if (simulation.success) {
+                console.log(colorize('✔ Dry run succeed, nothing was broadcast.', 'green'));
+            } else {
+                console.log(colorize('✖ Dry run reverted, nothing was broadcast.', 'red'));
+            }
+            console.log(simulation);
+        }
+        return simulation;
+    }
+
+    /**
+     * Returns the nonce of an address (number of transactions if it is an EOA, number of contract deployed if it is a contract).
+     * @param {string} account Address or its alias in `w-accounts.json` or in `w-contracts.json`
+     * @returns {Promise} Nonce of the address.
+     */
+    async nonce(account) {
+        this._web3Assertion();
+        let accountAddress = this._aliasesHandler(account);
+        assertRed(
+            accountAddress,
+            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + account
+        );
+        return this.web3.eth.getTransactionCount(accountAddress);
+    }
+
+    /**
+     * Prints the nonce of an address (number of transactions if it is an EOA, number of contract deployed if it is a contract).
+     * @param {string} account Address or its alias in `w-accounts.json` or in `w-contracts.json`
+     */
+    printNonce(account) {
+        this.nonce(account).then(console.log);
+    }
+
+    /**
+     * Returns the state of the nonce manager of an address on the current network. The nonces of an address
+     * are handed out one at a time, so that concurrent sends from the same account never collide.
+     * @param {string} address Address of the account.
+     * @returns {Object} The state, with the next nonce to hand out as `next` (`null` if it must be read from
+     * the chain) and the promise of the last nonce handed out as `lock`.
+     */
+    _nonceState(address) {
+        let key = this.provider.network + ':' + address.toLowerCase();
+        if (!this.nonces[key]) this.nonces[key] = { next: null, lock: Promise.resolve() };
+        return this.nonces[key];
+    }
+
+    /**
+     * Hands out the next nonce of an address. It is the greatest of the next nonce known locally and of the
+     * number of transactions of the address including the pending ones, so that the transactions sent by
+     * other means are also accounted for.
+     * @param {string} address Address of the account.
+     * @param {bool} peek `true` to only read the next nonce, without handing it out.
+     * @returns {Promise<int>} The nonce.
+     */
+    _nextNonce(address, peek) {
+        this._web3Assertion();
+        let state = this._nonceState(address);
+        let nonce = state.lock.then(async () => {
+            let pending = await this.web3.eth.getTransactionCount(address, 'pending');
+            let next = state.next === null ? pending : Math.max(state.next, pending);
+            if (!peek) state.next = next + 1;
+            return next;
+        });
+        state.lock = nonce.catch(() => { });
+        return nonce;
+    }
+
+    /**
+     * Hands out a given nonce of an address, absolute or relative to its next nonce. The next nonce of the
+     * manager is raised after it if needed, so that it is never handed out again.
+     * @param {string} address Address of the account.
+     * @param {int} nonce Nonce, or number of transactions to skip after the next nonce if `relative`.
+     * @param {bool} relative `true` if the nonce is relative to the next nonce, as with `$rel`.
+     * @returns {Promise<int>} The nonce.
+     */
+    _reserveNonce(address, nonce, relative) {
+        this._web3Assertion();
+        let state = this._nonceState(address);
+        let reserved = state.lock.then(async () => {
+            let pending = await this.web3.eth.getTransactionCount(address, 'pending');
+            let next = state.next === null ? pending : Math.max(state.next, pending);
+            if (relative) nonce += next;
+            state.next = Math.max(next, nonce + 1);
+            return nonce;
+        });
+        state.lock = reserved.catch(() => { });
+        return reserved;
+    }
+
+    /**
+     * Forgets the nonces handed out to an address, so that the next one is read again from the chain.
+     * Called when a transaction could not be broadcast or was dropped.
+     * @param {string} address Address of the account.
+     */
+    _resyncNonce(address) {
+        this._nonceState(address).next = null;
+    }
+
+    /**
+     * Resynchronizes the nonce manager from the chain, for example after transactions were replaced or
+     * dropped outside of this library.
+     * @param {string} account Address or its alias in `w-accounts.json`. Can be `null` or `undefined`, in
+     * which case all the accounts are resynchronized.
+     */
+    resyncNonces(account) {
+        if (account) {
+            let accountAddress = this._aliasesHandler(account);
+            assertRed(
+                accountAddress,
+                'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+                + '\nGiven : ' + account
+            );
+            this._resyncNonce(accountAddress);
+        } else {
+            for (let key in this.nonces) this.nonces[key].next = null;
+        }
+    }
+
+    /**
+     * Signs a transaction whose nonce was handed out by the nonce manager. If it fails, the nonce manager of
+     * its sender is resynchronized, since the nonce will never be broadcast.
+     * @param {Object} transaction Transaction, with its resolved `from` address and its nonce.
+     * @param {string} privateKey Private key of the sender.
+     * @returns {Promise<Object>} The signed transaction.
+     */
+    async _signTransaction(transaction, privateKey) {
+        try {
+            return await this.web3.eth.accounts.signTransaction(transaction, privateKey);
+        } catch (err) {
+            this._resyncNonce(transaction.from);
+            throw err;
+        }
+    }
+
+    /**
+     * Broadcasts a signed transaction. If it can not be broadcast or is dropped before being mined, the
+     * nonce manager of its sender is resynchronized from the chain.
+     * @param {Object} transaction Transaction, with its resolved `from` address.
+     * @param {Object} signedTransaction Transaction signed by `web3.eth.accounts.signTransaction`.
+     * @returns {PromiEvent} The result of `web3.eth.sendSignedTransaction`.
+     */
+    _broadcast(transaction, signedTransaction) {
+        let result = this.web3.eth.sendSignedTransaction(signedTransaction.rawTransaction);
+        result.catch((err) => {
+            if (!err.receipt) this._resyncNonce(transaction.from);
+        });
+        return result;
+    }
+
+    /**
+     * @notice Returns the response of the call to a smart contract.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`
+     * @param {string} functionName Name of the function to call, or its full signature if it is overloaded
+     * @param {Array} args Arguments to encode, as an array of `[type, value]` tuples.
+     * If there is only one argument to encode, it can be `args = [type, value]`. If the ABI of the contract
+     * is given in `w-contracts.json`, they can also be given as plain values.
+     * @param {string[]} returns Types returned by the function. If not specified, the output is decoded from
+     * the ABI of the contract if it is known, otherwise it won't decode the output
+     * @param {string} from Address of the caller or his alias in `w-accounts.json` or in `w-contracts.json`
+     * Can be `null` or `undefined`.
+     * @returns {Promise} Response of the call
+     */
+    async call(contract, functionName, args, returns, from) {
+        this._web3Assertion();
+        let contractAddress = this._contractsAliasesHandler(contract);
+        assertRed(
+            contractAddress,
+            'Unknown contract alias (not in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + contract
+        );
+        let { data, abiItem } = this._encodeCall(contract, functionName, args);
+        let options = {
+            to: contractAddress,
+            data: data
+        };
+        if (from) {
+            let fromAddress = this._aliasesHandler(from);
+            assertRed(
+                fromAddress,
+                'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+                + '\nGiven : ' + from
+            );
+            options.from = fromAddress;
+        }
+        if (this.recaps) {
+            console.log(colorize('• Call options :', 'cyan'))
+            console.log(options);
+            console.log();
+        }
+        let encodedResult;
+        try {
+            encodedResult = await this.web3.eth.call(options, this.blockCall);
+        } catch (err) {
+            throw this._revertError(err, contract);
+        }
+        if (returns) return this._decode(encodedResult, returns);
+        return abiItem ? this._decodeOutputs(abiItem, encodedResult) : encodedResult;
+    }
+
+    /**
+     * @notice Prints the response of the call to the smart contract.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`.
+     * @param {string} functionName Name of the function to call, or its full signature if it is overloaded.
+     * @param {Array} args Arguments to encode, as an array of `[type, value]` tuples.
+     * If there is only one argument to encode, it can be `args = [type, value]`. If the ABI of the contract
+     * is given in `w-contracts.json`, they can also be given as plain values. Can be `null` or `undefined`.
+     * @param {string[]} returns Types returned by the function. Can be `null` or `undefined`, in which case
+     * the output is decoded from the ABI of the contract if it is known, otherwise it won't decode the output
+     * @param {string} from Address of the caller or his alias in `w-accounts.json` or in `w-contracts.json`.
+     * Can be `null` or `undefined`.
+     */
+    printCall(contract, functionName, args, returns, from) {
+        this.call(contract, functionName, args, returns, from)
+            .then((value) => {
+                if (value !== null && typeof value === 'object') {
+                    console.log(colorize('• Call result : ', 'cyan'));
+                    console.log(value);
+                } else {
+                    console.log(colorize('• Call result : ', 'cyan') + value);
+                }
+            })
+            .catch((err) => {
+                console.log(colorize('✖ Error occured during the call : ', 'red') + err);
+            });
+    }
+
+    /**
+     * Finds why a mined transaction failed, by replaying it with `eth_call` on the state of the block before
+     * the one it was mined in. The replay is only exact if the transaction was the first of its block to
+     * modify the state it depends on.
+     * @param {string} txHash Hash of the transaction.
+     * @returns {string} The decoded revert reason, or `null` if the transaction succeeded.
+     */
+    async whyFailed(txHash) {
+        this._web3Assertion();
+        let [transaction, receipt] = await Promise.all([
+            this.web3.eth.getTransaction(txHash),
+            this.web3.eth.getTransactionReceipt(txHash)
+        ]);
+        assertRed(
+            transaction && receipt,
+            'Unknown or pending transaction.'
+            + '\nGiven : ' + txHash
+        );
+        if (receipt.status) return null;
+        let options = {
+            from: transaction.from,
+            to: transaction.to,
+            data: transaction.input,
+            value: transaction.value,
+            gas: transaction.gas
+        };
+        try {
+            await this.web3.eth.call(options, receipt.blockNumber - 1);
+        } catch (err) {
+            return this._revertReason(err, transaction.to);
+        }
+        return 'the transaction does not revert when replayed, it probably depended on a previous transaction '
+            + 'of its block or ran out of gas';
+    }
+
+    /**
+     * @notice Prints why a mined transaction failed.
+     * @param {string} txHash Hash of the transaction.
+     */
+    printWhyFailed(txHash) {
+        this.whyFailed(txHash)
+            .then((reason) => {
+                if (reason === null) {
+                    console.log(colorize('✔ The transaction succeed.', 'green'));
+                } else {
+                    console.log(colorize('• Revert reason : ', 'cyan') + reason);
+                }
+            })
+            .catch((err) => {
+                console.log(colorize('✖ Error occured : ', 'red') + err);
+            });
+    }
+
+    /**
+     * Returns the address of the Multicall3 contract of the current network, given as the field
+     * `options.multicall` of the network in `w-providers.json`.
+     * @returns {string} Address of the Multicall3 contract, or `null` if it is not configured.
+     */
+    _multicallAddress() {
+        let options = this.providers[this.provider.network].options;
+        if (!options || !options.multicall) return null;
+        let address = this._aliasesHandler(options.multicall, 'ca');
+        assertRed(
+            address,
+            'Unknown Multicall3 alias (not in `w-contracts.json`) or invalid address in `w-providers.json`.'
+            + '\nGiven network: ' + this.provider.network
+            + '\nGiven multicall: ' + options.multicall
+        );
+        return address;
+    }
+
+    /**
+     * Performs calls through the function `aggregate3` of a Multicall3 contract, in a single `eth_call`.
+     * @param {string} multicall Address of the Multicall3 contract.
+     * @param {Object[]} requests Calls, with their `to` and `data`.
+     * @returns {Promise<Object[]>} The responses, with their `success` and their returned `data`.
+     */
+    async _aggregate3(multicall, requests) {
+        let abi = this.web3.eth.abi;
+        let aggregate3 = {
+            type: 'function',
+            name: 'aggregate3',
+            inputs: [{
+                name: 'calls', type: 'tuple[]', components: [
+                    { name: 'target', type: 'address' },
+                    { name: 'allowFailure', type: 'bool' },
+                    { name: 'callData', type: 'bytes' }
+                ]
+            }],
+            outputs: [{
+                name: 'returnData', type: 'tuple[]', components: [
+                    { name: 'success', type: 'bool' },
+                    { name: 'returnData', type: 'bytes' }
+                ]
+            }]
+        };
+        let encodedResult = await this.web3.eth.call({
+            to: multicall,
+            data: abi.encodeFunctionCall(aggregate3, [requests.map(request => [request.to, true, request.data])])
+        }, this.blockCall);
+        return this._decodeOutputs(aggregate3, encodedResult).map(([success, data]) => ({ success, data }));
+    }
+
+    /**
+     * Performs calls in a single JSON-RPC batch request.
+     * @param {Object[]} requests Calls, with their `to` and `data`.
+     * @returns {Promise<Object[]>} The responses, with their `success` and their returned `data`, or their `error`.
+     */
+    async _batchCalls(requests) {
+        let batch = new this.web3.BatchRequest();
+        let responses = requests.map(request => new Promise(resolve => {
+            batch.add(this.web3.eth.call.request({ to: request.to, data: request.data }, this.blockCall, (err, data) => {
+                resolve(err ? { success: false, error: this._revertReason(err, request.to) } : { success: true, data: data });
+            }));
+        }));
+        if (requests.length > 0) batch.execute();
+        return Promise.all(responses);
+    }
+
+    /**
+     * Returns the responses of several calls to smart contracts, made in a single request. The calls are
+     * aggregated through the Multicall3 contract of the network if it is given in `w-providers.json`,
+     * otherwise they are sent in a JSON-RPC batch request.
+     * @param {Array[]} calls Calls, as an array of `[contract, functionName, args, returns]`, with the same
+     * parameters as `call`.
+     * @returns {Promise<Array>} Responses of the calls, in order. If a call fails, its response is an `Error`
+     * with the revert reason, and the other calls are not affected.
+     */
+    async multiCall(calls) {
+        this._web3Assertion();
+        let requests = calls.map(([contract, functionName, args, returns]) => {
+            let contractAddress = this._contractsAliasesHandler(contract);
+            assertRed(
+                contractAddress,
+                'Unknown contract alias (not in `w-contracts.json`) or invalid address.'
+                + '\nGiven : ' + contract
+            );
+            let { data, abiItem } = this._encodeCall(contract, functionName, args);
+            return { to: contractAddress, data: data, abiItem: abiItem, returns: returns };
+        });
+        if (this.recaps) {
+            console.log(colorize(`• Calls to be aggregated (${requests.length}) :`, 'cyan'))
+            console.log(requests.map(({ to, data }) => ({ to, data })));
+            console.log();
+        }
+
+        let responses = null;
+        let multicall = this._multicallAddress();
+        if (multicall && requests.length > 0) {
+            try {
+                responses = await this._aggregate3(multicall, requests);
+            } catch (err) {
+                warning('Multicall failed, falling back to a batch request: ' + err.message);
+            }
+        }
+        if (!responses) responses = await this._batchCalls(requests);
+
+        return responses.map((response, i) => {
+            if (!response.success) return new Error(response.error || this._decodeRevert(response.data, requests[i].to));
+            let { abiItem, returns } = requests[i];
+            try {
+                if (returns) return this._decode(response.data, returns);
+                return abiItem ? this._decodeOutputs(abiItem, response.data) : response.data;
+            } catch (err) {
+                return err;
+            }
+        });
+    }
+
+    /**
+     * Prints the responses of several calls to smart contracts, made in a single request.
+     * @param {Array[]} calls Calls, as an array of `[contract, functionName, args, returns]`, with the same
+     * parameters as `call`.
+     */
+    printMultiCall(calls) {
+        this.multiCall(calls).then((values) => {
+            values.forEach((value, i) => {
+                if (value instanceof Error) {
+                    console.log(colorize(`✖ Call n°${i + 1} failed : `, 'red') + value.message);
+                } else if (value !== null && typeof value === 'object') {
+                    console.log(colorize(`• Call n°${i + 1} result : `, 'cyan'));
+                    console.log(value);
+                } else {
+                    console.log(colorize(`• Call n°${i + 1} result : `, 'cyan') + value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create a transaction object, without signing it nor sending it.
+     * @param {string} from Address of the sender or its alias in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {string} to Address of the receiver or its alias in `w-contracts.json` or in `w-accounts.json`. 
+     * @param {string} functionName Name of the function to call, or its full signature if it is overloaded.
+     * @param {Array} args Arguments to encode, as an array of `[type, value]` tuples.
+     * If there is only one argument to encode, it can be `args = [type, value]`. If the ABI of the contract
+     * is given in `w-contracts.json`, they can also be given as plain values. Can be `null` or `undefined`.
+     * @param {int} value Value to send to the function if it is `payable`. The value is unit set by the function
+     * `w.setValueUnit()`, by default it is `'ether'`.
+     * @param {int} gasLimit Gas limit to the transaction. If not specified, it is estimated and multiplied
+     * by the multiplier set by `setGasMultiplier`.
+     * @param {int | Object} gasPrice Gas price of the transaction, or an object with the fields `maxFeePerGas`
+     * and/or `maxPriorityFeePerGas` for an EIP-1559 transaction. The values are in the unit set by the function
+     * `w.setGasPriceUnit()`, by default it is `'gwei'`. If not specified, the fees are suggested according to
+     * the fee mode of the network.
+     * @param {int} nonce Nonce of the transaction. If not specified, the nonce is set so that the transaction
+     * will be the next to be sent. If you want to set a relative nonce (to send the transaction after `x` transactions),
+     * you can give as parameter `w.$rel(x)`.
+     * @return {Object} Transaction object.
+     */
+    prepareTransaction(from, to, functionName, args, value, gasLimit, gasPrice, nonce) {
+        let fromAccount = this._signerAccount(from);
+        let toAddress = this._aliasesHandler(to);
+        assertRed(
+            toAddress,
+            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + to
+        );
+        let transaction = {
+            from: fromAccount,
+            to: toAddress
+        };
+        if (gasLimit) transaction.gas = gasLimit;
+        if (functionName) transaction.data = this._encodeCall(to, functionName, args).data;
+        if (value) transaction.value = this._convertValue(value);
+        Object.assign(transaction, this._convertFees(gasPrice));
+        if (nonce) transaction.nonce = nonce;
+        return transaction;
+    }
+
+    /**
+     * Sends a transaction to a smart contact or an account address.
+     * @param {string} from Alias of the sinder in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {string} to Address of the receiver or its alias in `w-contracts.json` or in `w-accounts.json`. 
+     * @param {string} functionName Name of the function to call, or its full signature if it is overloaded.
+     * Can be `null` or `undefined`.
+     * @param {Array} args Arguments to encode, as an array of `[type, value]` tuples.
+     * If there is only one argument to encode, it can be `args = [type, value]`. If the ABI of the contract
+     * is given in `w-contracts.json`, they can also be given as plain values. Can be `null` or `undefined`.
+     * @param {int} value Value to send to the function if it is `payable`. The value is unit set by the function
+     * `w.setValueUnit()`, by default it is `'ether'`.
+     * @param {int} gasLimit Gas limit to the transaction. If not specified, it is estimated and multiplied
+     * by the multiplier set by `setGasMultiplier`.
+     * @param {int | Object} gasPrice Gas price of the transaction, or an object with the fields `maxFeePerGas`
+     * and/or `maxPriorityFeePerGas` for an EIP-1559 transaction. The values are in the unit set by the function
+     * `w.setGasPriceUnit()`, by default it is `'gwei'`. If not specified, the fees are suggested according to
+     * the fee mode of the network.
+     * @param {int} nonce Nonce of the transaction. If not specified, the nonce is set so that the transaction
+     * will be the next to be sent. If you want to set a relative nonce (to send the transaction after `x` transactions),
+     * you can give as parameter `w.$rel(x)`.
+     * @returns {Promise} Response of the signed transaction, or its simulated result in dry-run mode
+     * (see `setDryRun`).
+     */
+    async send(from, to, functionName, args, value, gasLimit, gasPrice, nonce) {
+        this._web3Assertion();
+        this._accountsAssertion();
+        let transaction = await this.prepareTransaction(from, to, functionName, args, value, gasLimit, gasPrice, nonce)
+        let fromAccount = transaction.from;
+        transaction = { ...transaction, from: fromAccount.address };
+
+        // a relative nonce is resolved when the transaction is signed, as the other nonces of the manager
+        let [isRel, decodedNonce] = this.#decode$rel(transaction.nonce);
+        if (transaction.nonce) {
+            if (isRel) {
+                delete transaction.nonce;
+            } else {
+                transaction.nonce = decodedNonce;
+            }
+        }
+        await this._applyGasLimit(transaction);
+        await this._applyFees(transaction);
+
+        let confirmation = true;
+        if (this.recaps || this.confirmations) {
+            console.log(colorize('• Transaction to be sent :', 'cyan'))
+            console.log(transaction);
+            console.log(colorize('• Fees : ', 'cyan') + this._feesRecap(transaction));
+            console.log();
+        }
+        if (this.dryRun) {
+            if (transaction.nonce === undefined) {
+                transaction.nonce = await this._nextNonce(transaction.from, true) + (isRel ? decodedNonce : 0);
+            }
+            let signedTransaction = await this.web3.eth.accounts.signTransaction(
+                transaction,
+                await this._privateKey(fromAccount)
+            );
+            return this._simulate(transaction, signedTransaction);
+        }
+        if (this.confirmations) {
+            confirmation = await askConfirmation(
+                colorize('\nDo you really want to make a `send` with these options (y/n) ? ', 'yellow')
+            );
+            console.log();
+        }
+
+        if (confirmation) {
+            let privateKey = await this._privateKey(fromAccount);
+            if (isRel) {
+                transaction.nonce = await this._reserveNonce(transaction.from, decodedNonce, true);
+            } else if (transaction.nonce !== undefined) {
+                transaction.nonce = await this._reserveNonce(transaction.from, transaction.nonce);
+            } else {
+                transaction.nonce = await this._nextNonce(transaction.from);
+            }
+            let signedTransaction = await this._signTransaction(transaction, privateKey);
+            let result = this._broadcast(transaction, signedTransaction);
+            if (this.receipts) {
+                result
+                    .then((receipt) => {
+                        console.log(colorize('✔ Transaction succeed.', 'green'));
+                        console.log(receipt);
+                    })
+                    .catch(async (err) => {
+                        if (err.receipt) {
+                            console.log(colorize('✖ Transaction reverted.', 'red'));
+                            console.log(err.receipt);
+                            let reason = await this.whyFailed(err.receipt.transactionHash).catch(() => null);
+                            if (reason) console.log(colorize('• Revert reason : ', 'cyan') + reason);
+                        } else {
+                            console.log(err);
+                        }
+                    });
+            }
+            return result;
+        } else {
+            return Promise.reject(new Error('Send aborted by the user.'));
+        }
+    }
+
+    /**
+     * @notice Sends multiple transactions simultaneously. The nonces are ordered as the transactions
+     * are ordered in the array.
+     * @param {Object[]} transactions List of transactions to send created by `prepareTransaction()`.
+     * @returns {Promise} In dry-run mode (see `setDryRun`), the simulated results of the transactions, each
+     * simulated against the current block.
+     */
+    async multiSend(preparedTransactions, resolves, rejects) {
+        this._web3Assertion();
+        this._accountsAssertion();
+
+        let lastNonceByAddress = {};
+        let currentNonceByAddress = {};
+        let privateKeys = [];
+        let signedTransactions = []
+        // the gas and the private keys are resolved first, so that no nonce is handed out if one of them fails
+        for (let i = 0; i < preparedTransactions.length; i++) {
+            let transaction = preparedTransactions[i];
+            let fromAccount = transaction.from;
+            transaction.from = fromAccount.address;
+            await this._applyGasLimit(transaction);
+            await this._applyFees(transaction);
+            privateKeys[i] = await this._privateKey(fromAccount);
+            // relative nonces are all counted from the next nonce at the start of the call
+            if (this.#decode$rel(transaction.nonce)[0] && currentNonceByAddress[transaction.from] === undefined) {
+                currentNonceByAddress[transaction.from] = await this._nextNonce(transaction.from, true);
+            }
+        }
+        try {
+            for (let i = 0; i < preparedTransactions.length; i++) {
+                let transaction = preparedTransactions[i];
+
+                let [isRel, decodedNonce] = this.#decode$rel(transaction.nonce);
+                if (transaction.nonce) {
+                    let nonce = isRel ? currentNonceByAddress[transaction.from] + decodedNonce : decodedNonce;
+                    transaction.nonce = this.dryRun ? nonce : await this._reserveNonce(transaction.from, nonce);
+                } else if (this.dryRun) {
+                    if (lastNonceByAddress[transaction.from] === undefined) {
+                        transaction.nonce = await this._nextNonce(transaction.from, true);
+                    } else {
+                        transaction.nonce = lastNonceByAddress[transaction.from] + 1;
+                    }
+                    lastNonceByAddress[transaction.from] = transaction.nonce;
+                } else {
+                    transaction.nonce = await this._nextNonce(transaction.from);
+                }
+                signedTransactions[i] = await this.web3.eth.accounts.signTransaction(transaction, privateKeys[i]);
+            }
+        } catch (err) {
+            // the nonces already handed out will never be broadcast
+            if (!this.dryRun) for (let transaction of preparedTransactions) this._resyncNonce(transaction.from);
+            throw err;
+        }
+
+        let confirmation = true;
+        if (this.recaps || this.confirmations) {
+            for (let i = 0; i < preparedTransactions.length; i++) {
+                console.log(colorize(`• Transaction n°${i + 1} to be sent :`, 'cyan'))
+                console.log(preparedTransactions[i]);
+                console.log(colorize('• Fees : ', 'cyan') + this._feesRecap(preparedTransactions[i]));
+                console.log();
+            }
+        }
+        if (this.dryRun) {
+            // each transaction is simulated against the current block, without the effects of the previous ones
+            let simulations = [];
+            for (let i = 0; i < signedTransactions.length; i++) {
+                simulations[i] = await this._simulate(preparedTransactions[i], signedTransactions[i]);
+                if (resolves && resolves[i]) resolves[i](simulations[i]);
+            }
+            return simulations;
+        }
+        if (this.confirmations) {
+            confirmation = await askConfirmation(
+                colorize('\nDo you really want to make all these `send` with these options (y/n) ? ', 'yellow')
+            );
+            console.log();
+        }
+
+        if (confirmation) {
+            for (let i = 0; i < signedTransactions.length; i++) {
+                let resolve = resolves && resolves[i] ? resolves[i] : () => { };
+                let reject = rejects && rejects[i] ? rejects[i] : () => { };
+                this._broadcast(preparedTransactions[i], signedTransactions[i])
+                    .then(resolve)
+                    .catch(reject);
+            }
+        } else {
+            for (let transaction of preparedTransactions) this._resyncNonce(transaction.from);
+            return Promise.reject(new Error('Send aborted by the user.'));
+        }
+    }
+
+    /**
+     * Transfers ether or ERC20 token.
+     * @param {string} from Alias of the sinder in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {string} to Receiver address or alias.
+     * @param {int | string} amount Amount transfered, in the unit set by setValueUnit for ether, and with the
+     * decimals of the token for an ERC20 token. Give it as a string to keep all its decimals.
+     * @param {string} token ERC20 contract address or alias of the token to be transfered. If it is not 
+     * specified, it will transfer ether.
+     * @param {int} gasLimit Gas limit to the transaction. If not specified, it is estimated and multiplied
+     * by the multiplier set by `setGasMultiplier`.
+     * @param {int | Object} gasPrice Gas price of the transaction, as in `send`. If not specified, the fees
+     * are suggested according to the fee mode of the network.
+     * @param {bool} raw `true` if the amount is given in base units (wei, or the smallest unit of the token).
+     * @return {Promise} Transaction result, or its simulated result in dry-run mode.
+     */
+    async transfer(from, to, amount, token, gasLimit, gasPrice, raw) {
+        let toAddress = this._aliasesHandler(to);
+        if (token) {
+            let value = raw ? amount.toString() : this._parseUnits(amount, (await this._tokenInfo(token)).decimals);
+            return this.send(
+                from,
+                token,
+                'transfer',
+                [['address', toAddress], ['uint256', value]],
+                null,
+                gasLimit,
+                gasPrice
+            );
+        } else {
+            let value = raw ? this.web3.utils.fromWei(amount.toString(), this.valueUnit) : amount;
+            return this.send(from, to, null, null, value, gasLimit, gasPrice);
+        }
+    }
+
+    /**
+     * Replaces a pending transaction by a transaction with the same nonce and bumped fees, signed with the
+     * key of its sender in `w-accounts.json`, and waits until one of them is mined.
+     * @param {string} txHash Hash of the pending transaction.
+     * @param {int} bumpPercent Minimal increase of the fees, in percent. The fees are also raised to the
+     * currently suggested ones if they are higher.
+     * @param {bool} cancel `true` to replace the transaction by an empty transfer to its sender, else it is
+     * replaced by the same transaction.
+     * @returns {Promise<Object>} Which transaction was mined.
+     */
+    async _replace(txHash, bumpPercent, cancel) {
+        this._web3Assertion();
+        this._accountsAssertion();
+        let pending = await this.web3.eth.getTransaction(txHash);
+        assertRed(
+            pending,
+            'Unknown transaction.'
+            + '\nGiven : ' + txHash
+        );
+        assertRed(
+            pending.blockNumber === null,
+            'The transaction is already mined.'
+            + '\nGiven : ' + txHash
+        );
+        let alias = this._signerAlias(pending.from);
+        assertRed(
+            alias,
+            'The sender of the transaction is not an account of `w-accounts.json` with a private key or a keystore.'
+            + '\nSender : ' + pending.from
+        );
+        if (bumpPercent < 10) warning('Nodes usually reject replacements with fees bumped by less than 10%.');
+        let fromAccount = this._signerAccount(alias);
+        let transaction = cancel
+            ? { from: pending.from, to: pending.from, value: '0', nonce: pending.nonce }
+            : { from: pending.from, to: pending.to, data: pending.input, value: pending.value, gas: pending.gas, nonce: pending.nonce };
+        if (cancel) {
+            // a transfer to the sender may cost more than 21000 gas, if it is a contract account
+            await this._applyGasLimit(transaction);
+        } else if (pending.accessList && pending.accessList.length) {
+            transaction.accessList = pending.accessList;
+        }
+
+        let toBN = this.web3.utils.toBN;
+        let bump = fee => toBN(fee).muln(100 + Math.ceil(bumpPercent)).addn(99).divn(100);
+        let max = (...fees) => fees.reduce((a, b) => (a.gt(b) ? a : b));
+        if (pending.maxFeePerGas !== undefined) {
+            let suggested = await this.suggestFees();
+            let priorityFee = max(bump(pending.maxPriorityFeePerGas), toBN(suggested.maxPriorityFeePerGas));
+            transaction.maxPriorityFeePerGas = priorityFee.toString();
+            transaction.maxFeePerGas = max(bump(pending.maxFeePerGas), toBN(suggested.maxFeePerGas), priorityFee).toString();
+        } else {
+            transaction.gasPrice = max(bump(pending.gasPrice), toBN(await this.web3.eth.getGasPrice())).toString();
+        }
+
+        let confirmation = true;
+        if (this.recaps || this.confirmations) {
+            console.log(colorize(`• Transaction to be ${cancel ? 'cancelled' : 'sped up'} :`, 'cyan'))
+            console.log(txHash);
+            console.log(colorize('• Replacement transaction :', 'cyan'))
+            console.log(transaction);
+            console.log(colorize('• Fees : ', 'cyan') + this._feesRecap(transaction));
+            console.log();
+        }
+        let signedTransaction = await this.web3.eth.accounts.signTransaction(
+            transaction,
+            await this._privateKey(fromAccount)
+        );
+        if (this.dryRun) return this._simulate(transaction, signedTransaction);
+        if (this.confirmations) {
+            confirmation = await askConfirmation(
+                colorize(`\nDo you really want to ${cancel ? 'cancel' : 'speed up'} this transaction (y/n) ? `, 'yellow')
+            );
+            console.log();
+        }
+        if (!confirmation) return Promise.reject(new Error('Replacement aborted by the user.'));
+
+        let result = this._broadcast(transaction, signedTransaction);
+        await new Promise((resolve, reject) => {
+            result.once('transactionHash', resolve);
+            // once broadcast, the replacement is awaited by polling, since it may never be mined
+            result.catch(reject);
+        });
+        let replaced = await this._waitReplacement(transaction, txHash, signedTransaction.transactionHash);
+        if (this.receipts) {
+            if (replaced.replaced) {
+                console.log(colorize(`✔ Transaction ${cancel ? 'cancelled' : 'sped up'}.`, 'green'));
+            } else if (replaced.replaced === false) {
+                console.log(colorize('✖ The original transaction was mined first.', 'red'));
+            } else {
+                console.log(colorize('✖ Another transaction with the same nonce was mined.', 'red'));
+            }
+            console.log(replaced.receipt);
+        }
+        return replaced;
+    }
+
+    /**
+     * Waits until one of two competing transactions with the same nonce is mined. It throws an error if none
+     * is mined within the number of blocks of `web3.eth.transactionBlockTimeout` (`50` by default), since both
+     * may have been dropped.
+     * @param {Object} transaction Replacement transaction, with its `from` address and its `nonce`.
+     * @param {string} originalHash Hash of the replaced transaction.
+     * @param {string} replacementHash Hash of the replacement transaction.
+     * @returns {Promise<Object>} `replaced`, `true` if the replacement was mined, `false` if the original
+     * transaction was mined and `null` if another transaction with the same nonce was mined, with the
+     * `transactionHash` and the `receipt` of the mined transaction.
+     */
+    async _waitReplacement(transaction, originalHash, replacementHash) {
+        let lastBlock = await this.web3.eth.getBlockNumber() + this.web3.eth.transactionBlockTimeout;
+        for (; ;) {
+            // the nonce is read before the receipts, so that a mined transaction is never missed
+            let nonce = await this.web3.eth.getTransactionCount(transaction.from);
+            for (let [hash, replaced] of [[replacementHash, true], [originalHash, false]]) {
+                let receipt = await this.web3.eth.getTransactionReceipt(hash);
+                if (receipt) return { replaced: replaced, transactionHash: hash, receipt: receipt };
+            }
+            if (nonce > transaction.nonce) return { replaced: null, transactionHash: null, receipt: null };
+            let blockNumber = await this.web3.eth.getBlockNumber();
+            assertRed(
+                blockNumber <= lastBlock,
+                `Neither the transaction nor its replacement was mined within ${this.web3.eth.transactionBlockTimeout} blocks.`
+                + '\nGiven transaction: ' + originalHash
+                + '\nReplacement transaction: ' + replacementHash
+            );
+            await sleep(this.pollingInterval);
+        }
+    }
+
+    /**
+     * Speeds up a pending transaction, by replacing it by the same transaction with the same nonce and bumped
+     * fees, signed with the key of its sender in `w-accounts.json`.
+     * @param {string} txHash Hash of the pending transaction.
+     * @param {int} bumpPercent Minimal increase of the fees, in percent. By default, it is `10`, the minimum
+     * accepted by most nodes. The fees are also raised to the currently suggested ones if they are higher.
+     * @returns {Promise<Object>} `replaced`, `true` if the replacement was mined, `false` if the original
+     * transaction was mined first and `null` if another transaction with the same nonce was mined, with the
+     * `transactionHash` and the `receipt` of the mined transaction.
+     */
+    async speedUp(txHash, bumpPercent = 10) {
+        return this._replace(txHash, bumpPercent, false);
+    }
+
+    /**
+     * Cancels a pending transaction, by replacing it by an empty transfer from its sender to itself with the
+     * same nonce and bumped fees, signed with the key of its sender in `w-accounts.json`.
+     * @param {string} txHash Hash of the pending transaction.
+     * @param {int} bumpPercent Minimal increase of the fees, in percent. By default, it is `10`.
+     * @returns {Promise<Object>} `replaced`, `true` if the cancellation was mined, `false` if the original
+     * transaction was mined first and `null` if another transaction with the same nonce was mined, with the
+     * `transactionHash` and the `receipt` of the mined transaction.
+     */
+    async cancel(txHash, bumpPercent = 10) {
+        return this._replace(txHash, bumpPercent, true);
+    }
+
+    /**
+     * Returns the amount of ether or ERC20 token of an account.
+     * @param {string} account Account to check.
+     * @param {string} token ERC20 contract address or its alias alias in `w-contracts.json` to be transfered. If it is not 
+     * specified, it will return the amount of ether.
+     * @param {bool} format `true` to get the amount with the decimals of the token, or in the unit set by
+     * `setValueUnit` for ether, instead of in base units.
+     * @returns {Promise} Balance of the account, in base units: in wei for ether, and in the smallest unit of
+     * the token for a token (for example `'1234560000'` for 1234.56 USDC, or `'1234.56'` with `format`).
+     */
+    async balance(account, token, format) {
+        this._web3Assertion();
+        let address = this._aliasesHandler(account);
+        assertRed(
+            address,
+            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + account
+        );
+        if (token) {
+            let value = await this.call(token, 'balanceOf', ['address', address], 'uint256');
+            return format ? this._formatUnits(value, (await this._tokenInfo(token)).decimals) : value;
+        } else {
+            let value = await this.web3.eth.getBalance(address);
+            return format ? this.web3.utils.fromWei(value, this.valueUnit) : value;
+        }
+    }
+
+    /**
+     * Formats an amount returned by `balance` for display, as `1,234.56 USDC`, or in the unit set by
+     * `setValueUnit` for ether.
+     * @param {string} value Amount in base units, in wei for ether and in the smallest unit of the token for
+     * a token.
+     * @param {string} token ERC20 contract address or its alias in `w-contracts.json`. Can be `null`.
+     * @returns {Promise<string>} The formatted amount.
+     */
+    async _formatAmount(value, token) {
+        if (token) {
+            let { decimals, symbol } = await this._tokenInfo(token);
+            return `${groupThousands(this._formatUnits(value, decimals))} ${symbol}`;
+        }
+        return `${groupThousands(this.web3.utils.fromWei(value.toString(), this.valueUnit))} ${this.valueUnit}`;
+    }
+
+    /**
+     * Prints the amount of ether or ERC20 token of an account, with the symbol and the decimals of the token.
+     * @param {string} account Account to check.
+     * @param {string} token ERC20 contract address or its alias alias in `w-contracts.json` to be transfered. If it is not 
+     * specified, it will return the amount of ether.
+     */
+    printBalance(account, token) {
+        this.balance(account, token)
+            .then(value => this._formatAmount(value, token))
+            .then(console.log);
+    }
+
+    /**
+     * Lists the Solidity files of a folder and of its subfolders, except `node_modules` and hidden folders.
+     * @param {string} folder Path of the folder.
+     * @returns {string[]} Paths of the Solidity files.
+     */
+    _solidityFiles(folder) {
+        let files = [];
+        for (let entry of fs.readdirSync(folder, { withFileTypes: true })) {
+            let entryPath = path.join(folder, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                    files.push(...this._solidityFiles(entryPath));
+                }
+            } else if (entry.name.endsWith('.sol')) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * @param {string} file Path of a Solidity file.
+     * @returns {string} Its source unit name, its path relative to the current directory with `/` separators,
+     * so that the relative imports of the file are resolved by the compiler as paths of the same form.
+     */
+    _sourceUnitName(file) {
+        return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+    }
+
+    /**
+     * Import callback of the compiler. The remappings set by `setRemappings` are applied by the compiler
+     * before. The imported path is then resolved from the current directory, then from the `node_modules`
+     * folders of the current directory and of its parents.
+     * @param {string} unitName Source unit name of the imported file.
+     * @returns {Object} The content of the file as `contents`, or the reason why it is not found as `error`.
+     */
+    _resolveImport(unitName) {
+        let candidates = [path.resolve(unitName)];
+        for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+            candidates.push(path.join(dir, 'node_modules', unitName));
+            if (dir === path.dirname(dir)) break;
+        }
+        for (let candidate of candidates) {
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return { contents: fs.readFileSync(candidate, { encoding: 'utf8', flag: 'r' }) };
+            }
+        }
+        return { error: 'File not found in the current directory nor in `node_modules`.' };
+    }
+
+    /**
+     * Builds the input of the compiler for the Solidity files of folders and of their subfolders.
+     * @param {string[]} folders Folders in which the contracts are located.
+     * @param {int} optimization Number of runs of the optimizer. Can be `null` or `undefined`.
+     * @returns {Object} The standard JSON input of the compiler as `input`, and the content of the files by
+     * source unit name as `sources`.
+     */
+    _compilerInput(folders, optimization) {
+        let input = {
+            language: 'Solidity',
+            sources: {},
+            settings: { ...this.compilerSettings, outputSelection: { '*': { '*': ['*'] } } }
+        };
+        if (optimization) {
+            input.settings.optimizer = { ...input.settings.optimizer, enabled: true, runs: optimization };
+        }
+        let remappings = [...(this.compilerSettings.remappings || []), ...this.remappings];
+        if (remappings.length > 0) {
+            input.settings.remappings = remappings;
+        }
+        if (this.compilerSettings.libraries) {
+            input.settings.libraries = {};
+            for (let file in this.compilerSettings.libraries) {
+                input.settings.libraries[file] = {};
+                for (let library in this.compilerSettings.libraries[file]) {
+                    let alias = this.compilerSettings.libraries[file][library];
+                    let address = this._isAddress(alias) ? alias : this._contractsAliasesHandler(alias);
+                    assertRed(
+                        address,
+                        'Unknown library alias (not in `w-contracts.json`) or invalid address.'
+                        + '\nGiven : ' + alias
+                    );
+                    input.settings.libraries[file][library] = address;
+                }
+            }
+        }
+
+        let sources = {};
+        for (let folder of folders) {
+            assertRed(
+                fs.existsSync(folder) && fs.statSync(folder).isDirectory(),
+                'Unable to find the folder of the contracts.'
+                + '\nGiven folder: ' + folder
+            );
+            for (let file of this._solidityFiles(folder)) {
+                let unitName = this._sourceUnitName(file);
+                sources[unitName] = fs.readFileSync(file, { encoding: 'utf8', flag: 'r' });
+                input.sources[unitName] = { content: sources[unitName] };
+            }
+        }
+        return { input, sources };
+    }
+
+    /**
+     * Returns the list of the releases of the Solidity compiler, from the cache directory or downloaded from
+     * `binaries.soliditylang.org`. The builds of the list, with their hashes, are kept in `this.solcBuilds`.
+     * @param {bool} refresh `true` to download the list even if it is in the cache directory.
+     * @returns {Promise<Object>} The file names of the builds of the releases, by version.
+     */
+    async _solcReleases(refresh) {
+        if (!refresh && this.solcReleases) return this.solcReleases;
+        let listPath = path.join(this.solcCache, 'list.json');
+        let list = null;
+        if (!refresh && fs.existsSync(listPath)) {
+            list = fs.readFileSync(listPath, { encoding: 'utf8', flag: 'r' });
+        } else {
+            try {
+                list = await download('https://binaries.soliditylang.org/bin/list.json');
+                fs.mkdirSync(this.solcCache, { recursive: true });
+                fs.writeFileSync(listPath, list);
+            } catch (err) {
+                warning('Unable to download the list of the compiler releases: ' + err.message);
+                // without network, the builds already in the cache directory are still available
+                if (fs.existsSync(listPath)) list = fs.readFileSync(listPath, { encoding: 'utf8', flag: 'r' });
+            }
+        }
+        // without the list, the hashes of the builds are unknown and no build can be used
+        assertRed(
+            list,
+            'The list of the compiler releases is needed to check the builds, and it is not in the cache directory.'
+            + '\nCache directory : ' + this.solcCache
+        );
+        list = JSON.parse(list);
+        this.solcReleases = list.releases;
+        this.solcBuilds = {};
+        for (let build of list.builds) this.solcBuilds[build.path] = build;
+        return this.solcReleases;
+    }
+
+    /**
+     * Checks a build of the Solidity compiler against the SHA-256 hash given by the list of the releases.
+     * @param {string} file File name of the build.
+     * @param {string} content Content of the build.
+     * @returns {bool} `true` if the hash of the build matches.
+     */
+    _checkSolcBuild(file, content) {
+        let hash = '0x' + crypto.createHash('sha256').update(content).digest('hex');
+        return hash === this.solcBuilds[file].sha256;
+    }
+
+    /**
+     * Returns the Solidity compiler set by `setSolcVersion`, downloading its build if it is not in the cache
+     * directory.
+     * @param {Object} input Standard JSON input of the compiler, whose `pragma solidity` are read if the
+     * version is `'pragma'`.
+     * @returns {Promise<Object>} The compiler.
+     */
+    async _solc(input) {
+        if (!this.solcVersion) return solc;
+        let file;
+        let version = this.solcVersion;
+        if (version === 'pragma') {
+            let ranges = [];
+            for (let unit in input.sources) {
+                for (let match of input.sources[unit].content.matchAll(/pragma\s+solidity\s+([^;]+);/g)) {
+                    ranges.push(match[1].trim());
+                }
+            }
+            let releases = await this._solcReleases();
+            version = semver.maxSatisfying(Object.keys(releases), ranges.join(' '));
+            if (!version) {
+                releases = await this._solcReleases(true);
+                version = semver.maxSatisfying(Object.keys(releases), ranges.join(' '));
+            }
+            assertRed(
+                version,
+                'No release of the compiler satisfies the `pragma solidity` of the compiled files.'
+                + '\nPragmas : ' + ranges.join(', ')
+            );
+        }
+        if (version.includes('+commit')) {
+            file = 'soljson-' + (version.startsWith('v') ? version : 'v' + version) + '.js';
+        } else {
+            version = version.replace(/^v/, '');
+            let releases = await this._solcReleases();
+            if (!releases[version]) releases = await this._solcReleases(true);
+            file = releases[version];
+            assertRed(
+                file,
+                'Unknown release of the compiler.'
+                + '\nGiven version : ' + version
+            );
+        }
+        if (solc.version().startsWith(file.slice('soljson-v'.length, -'.js'.length))) return solc;
+        if (!this.compilers[file]) {
+            if (!this.solcBuilds || !this.solcBuilds[file]) await this._solcReleases();
+            if (!this.solcBuilds[file]) await this._solcReleases(true);
+            assertRed(
+                this.solcBuilds[file],
+                'Unknown build of the compiler.'
+                + '\nGiven build : ' + file
+            );
+            let filePath = path.resolve(this.solcCache, file);
+            if (fs.existsSync(filePath) && !this._checkSolcBuild(file, fs.readFileSync(filePath))) {
+                warning(`The cached build ${file} does not match its hash, it is downloaded again.`);
+                fs.unlinkSync(filePath);
+            }
+            if (!fs.existsSync(filePath)) {
+                if (this.recaps) console.log(colorize(`• Downloading the compiler ${file}...`, 'cyan'));
+                let build = await download('https://binaries.soliditylang.org/bin/' + file);
+                assertRed(
+                    this._checkSolcBuild(file, build),
+                    'The downloaded build of the compiler does not match its hash.'
+                    + '\nGiven build : ' + file
+                );
+                fs.mkdirSync(this.solcCache, { recursive: true });
+                fs.writeFileSync(filePath, build);
+            }
+            this.compilers[file] = solc.setupMethods(require(filePath));
+        }
+        return this.compilers[file];
+    }
+
+    /**
+     * Compiles a standard JSON input, following the imports of its files.
+     * @param {Object} input Standard JSON input of the compiler.
+     * @param {Object} sources Content of the files of the input by source unit name. The imported files are
+     * added to it.
+     * @param {Object} compiler Solidity compiler returned by `_solc`.
+     * @returns {Object} The output of the compiler.
+     */
+    _compile(input, sources, compiler) {
+        let findImports = (unitName) => {
+            let result = this._resolveImport(unitName);
+            if (result.contents !== undefined) sources[unitName] = result.contents;
+            return result;
+        };
+        let output = JSON.parse(compiler.compile(JSON.stringify(input), { import: findImports }));
+
+        let success = true;
+        if (output.errors) {
+            for (let error of output.errors) {
+                if (error.severity === 'warning') {
+                    if (this.recaps) {
+                        console.log(colorize(error.formattedMessage, 'yellow'));
+                    }
+                } else {
+                    console.log(colorize(error.formattedMessage, 'red'));
+                    success = false;
+                }
+            }
+        }
+        assertRed(success, 'Compilation failed.');
+        return output;
+    }
+
+    /**
+     * Finds the source unit of a compiled contract.
+     * @param {Object} output Output of the compiler.
+     * @param {string} contractName Name of the contract, or `<source unit name>:<name>` if several compiled
+     * contracts have the same name.
+     * @returns {string} The source unit name of the file of the contract.
+     */
+    _contractFile(output, contractName) {
+        let name = contractName.split(':').pop();
+        let files = Object.keys(output.contracts || {}).filter(file => output.contracts[file][name]
+            && (!contractName.includes(':') || contractName === file + ':' + name));
+        assertRed(
+            files.length > 0,
+            'Contract not found in the compiled files.'
+            + '\nGiven contract: ' + contractName
+        );
+        assertRed(
+            files.length === 1,
+            'Several compiled contracts have this name, give it as `<path>:<name>`.'
+            + '\nGiven contract: ' + contractName
+            + '\nFound in: ' + files.join(', ')
+        );
+        return files[0];
+    }
+
+    /**
+     * Builds the artifact of a compiled contract.
+     * @param {Object} output Output of the compiler.
+     * @param {string} sourceName Source unit name of the file of the contract.
+     * @param {string} contractName Name of the contract.
+     * @returns {Object} The artifact, with the `contractName`, the `sourceName`, the `abi`, the `bytecode`, the
+     * `deployedBytecode`, the `metadata` and the `storageLayout` of the contract.
+     */
+    _artifact(output, sourceName, contractName) {
+        let compiled = output.contracts[sourceName][contractName];
+        return {
+            contractName: contractName,
+            sourceName: sourceName,
+            abi: compiled.abi,
+            bytecode: '0x' + compiled.evm.bytecode.object,
+            deployedBytecode: '0x' + compiled.evm.deployedBytecode.object,
+            metadata: compiled.metadata,
+            storageLayout: compiled.storageLayout
+        };
+    }
+
+    /**
+     * @param {string} artifactsFolder Folder of the artifacts.
+     * @param {string} fullName Name of a contract, as `<source unit name>:<name>`.
+     * @returns {string} The path of the artifact file of the contract, `<artifacts>/<source unit name>/<name>.json`.
+     */
+    _artifactPath(artifactsFolder, fullName) {
+        let separator = fullName.lastIndexOf(':');
+        // the files imported from outside of the current directory stay inside the artifacts folder
+        let sourceName = fullName.slice(0, separator).split('/').map(part => (part === '..' ? '_' : part)).join('/');
+        return path.join(artifactsFolder, sourceName, fullName.slice(separator + 1) + '.json');
+    }
+
+    /**
+     * @param {string | Object} artifact Artifact built by `compile`, or the path of its file.
+     * @returns {Object} The artifact.
+     */
+    _readArtifact(artifact) {
+        if (typeof artifact === 'string') {
+            let artifactPath = artifact;
+            try {
+                artifact = JSON.parse(fs.readFileSync(artifactPath, { encoding: 'utf8', flag: 'r' }));
+            } catch {
+                artifact = null;
+            }
+            assertRed(
+                artifact,
+                'Unable to read the artifact.'
+                + '\nGiven artifact path: ' + artifactPath
+            );
+            if (artifact.buildInfo) artifact.buildInfo = path.resolve(path.dirname(artifactPath), artifact.buildInfo);
+        }
+        assertRed(
+            artifact && artifact.abi && artifact.bytecode,
+            'Invalid artifact, it should have an `abi` and a `bytecode`.'
+        );
+        return artifact;
+    }
+
+    /**
+     * Returns whether the artifacts of a previous compilation are still valid, i.e. if the compiled files,
+     * imported ones included, and the settings of the compiler are unchanged.
+     * @param {Object} cache Cache of the previous compilation.
+     * @param {string} settingsHash Hash of the settings and of the version of the compiler.
+     * @param {Object} input Standard JSON input of the compiler.
+     * @param {string} artifactsFolder Folder of the artifacts.
+     * @returns {bool} `true` if the compilation can be skipped.
+     */
+    _isCacheValid(cache, settingsHash, input, artifactsFolder) {
+        if (!cache || cache.settings !== settingsHash) return false;
+        let units = Object.keys(input.sources);
+        if (units.length !== cache.inputs.length || units.some(unit => !cache.inputs.includes(unit))) return false;
+        for (let unit in cache.sources) {
+            let content = input.sources[unit] ? input.sources[unit].content : this._resolveImport(unit).contents;
+            if (content === undefined || Web3.utils.keccak256(content) !== cache.sources[unit]) return false;
+        }
+        if (!cache.buildInfo || !fs.existsSync(path.join(artifactsFolder, cache.buildInfo))) return false;
+        return cache.contracts.every(fullName => fs.existsSync(this._artifactPath(artifactsFolder, fullName)));
+    }
+
+    /**
+     * Returns the build information of a compilation, needed to verify the contracts it produced.
+     * @param {Object} input Standard JSON input of the compiler.
+     * @param {Object} sources Content of the compiled files by source unit name, imported ones included.
+     * @param {Object} compiler Solidity compiler returned by `_solc`.
+     * @returns {Object} The full version of the compiler (`solcVersion`) and the standard JSON `input`
+     * with the content of every compiled file.
+     */
+    _buildInfo(input, sources, compiler) {
+        // every source actually compiled, imports included, so the input can be replayed anywhere
+        let standardSources = {};
+        for (let unit of Object.keys(sources).sort()) standardSources[unit] = { content: sources[unit] };
+        return {
+            solcVersion: 'v' + compiler.version().replace(/\.Emscripten\.clang$/, ''),
+            input: { language: input.language, sources: standardSources, settings: input.settings }
+        };
+    }
+
+    /**
+     * Compiles the Solidity files of folders and of their subfolders, and writes the artifact of each
+     * contract in `<artifacts>/<source unit name>/<name>.json`. The compilation is skipped if the compiled
+     * files, imported ones included, the settings and the version of the compiler are unchanged since the last one.
+     * @param {string[]} folders Folders in which the contracts are located.
+     * @param {Object} options Options: `optimization`, the number of runs of the optimizer, `artifacts`,
+     * the folder of the artifacts (by default `'artifacts'`), and `force`, `true` to compile even if the
+     * sources are unchanged. Can be `null` or `undefined`.
+     * @returns {Promise<Object>} The artifacts of the compiled contracts, by `<source unit name>:<name>`.
+     */
+    async compile(folders, options) {
+        options = options || {};
+        let artifactsFolder = options.artifacts || 'artifacts';
+        let cachePath = path.join(artifactsFolder, 'cache.json');
+        let { input, sources } = this._compilerInput(folders, options.optimization);
+        let compiler = await this._solc(input);
+        let settingsHash = Web3.utils.keccak256(JSON.stringify(input.settings) + compiler.version());
+
+        let cache = null;
+        try {
+            cache = JSON.parse(fs.readFileSync(cachePath, { encoding: 'utf8', flag: 'r' }));
+        } catch { }
+        let artifacts = {};
+        if (!options.force && this._isCacheValid(cache, settingsHash, input, artifactsFolder)) {
+            for (let fullName of cache.contracts) {
+                artifacts[fullName] = this._readArtifact(this._artifactPath(artifactsFolder, fullName));
+            }
+            if (this.recaps) console.log(colorize('• Sources unchanged, compilation skipped.', 'cyan'));
+            return artifacts;
+        }
+
+        let output = this._compile(input, sources, compiler);
+        // named by its content hash, so the artifacts of a previous compilation keep their own
+        let buildInfo = JSON.stringify(this._buildInfo(input, sources, compiler), null, 4);
+        let buildInfoFile = `build-info/${Web3.utils.keccak256(buildInfo).slice(2)}.json`;
+        let buildInfoPath = path.join(artifactsFolder, buildInfoFile);
+        fs.mkdirSync(path.dirname(buildInfoPath), { recursive: true });
+        fs.writeFileSync(buildInfoPath, buildInfo);
+        for (let sourceName in output.contracts) {
+            for (let contractName in output.contracts[sourceName]) {
+                let fullName = sourceName + ':' + contractName;
+                let artifactPath = this._artifactPath(artifactsFolder, fullName);
+                let artifact = this._artifact(output, sourceName, contractName);
+                // relative on disk so the artifacts folder can be moved, absolute in memory
+                artifact.buildInfo = path.relative(path.dirname(artifactPath), buildInfoPath).split(path.sep).join('/');
+                fs.mkdirSync(path.dirname(artifactPath), { recursive: true });
+                fs.writeFileSync(artifactPath, JSON.stringify(artifact, null, 4));
+                artifacts[fullName] = { ...artifact, buildInfo: path.resolve(buildInfoPath) };
+            }
+        }
+        let hashes = {};
+        for (let unit in sources) hashes[unit] = Web3.utils.keccak256(sources[unit]);
+        cache = {
+            settings: settingsHash,
+            inputs: Object.keys(input.sources),
+            sources: hashes,
+            contracts: Object.keys(artifacts),
+            buildInfo: buildInfoFile
+        };
+        fs.writeFileSync(cachePath, JSON.stringify(cache, null, 4));
+        if (this.recaps) {
+            console.log(colorize(`• ${Object.keys(artifacts).length} contracts compiled in ${artifactsFolder}.`, 'cyan'));
+        }
+        return artifacts;
+    }
+
+    /**
+     * Returns the address of the contract that an account deploys with CREATE (a plain deployment).
+     * @param {string} deployer Address of the deployer or its alias in `w-accounts.json` or in `w-contracts.json`.
+     * @param {int | string} nonce Nonce of the deployment, as a number or a numeric string. If not specified,
+     * it is the next nonce of the deployer.
+     * @returns {Promise<string>} The address of the contract.
+     */
+    async predictAddress(deployer, nonce) {
+        let deployerAddress = this._aliasesHandler(deployer);
+        assertRed(
+            deployerAddress,
+            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + deployer
+        );
+        if (nonce === undefined || nonce === null) nonce = await this._nextNonce(deployerAddress, true);
+        assertRed(
+            (Number.isInteger(nonce) && nonce >= 0)
+            || (typeof nonce === 'string' && /^(\d+|0x[0-9a-fA-F]+)$/.test(nonce))
+            || (Web3.utils.isBN(nonce) && !nonce.isNeg()),
+            'Invalid nonce, it should be a non-negative integer.'
+            + '\nGiven : ' + nonce
+        );
+        nonce = Web3.utils.toBN(nonce);
+        // RLP encoding of [deployer, nonce]
+        let encodedNonce;
+        if (nonce.isZero()) {
+            encodedNonce = '80';
+        } else {
+            let hex = nonce.toString(16);
+            hex = hex.length % 2 ? '0' + hex : hex;
+            encodedNonce = nonce.ltn(0x80) ? hex : (0x80 + hex.length / 2).toString(16) + hex;
+        }
+        let payload = '94' + deployerAddress.slice(2).toLowerCase() + encodedNonce;
+        let encoded = '0x' + (0xc0 + payload.length / 2).toString(16) + payload;
+        return Web3.utils.toChecksumAddress('0x' + Web3.utils.keccak256(encoded).slice(-40));
+    }
+
+    /**
+     * @param {string | int} salt Salt of a CREATE2 deployment, as an hexadecimal string of at most 32 bytes,
+     * or as a number.
+     * @returns {string} The salt, as 32 bytes.
+     */
+    _salt(salt) {
+        let isHex = typeof salt === 'string' && /^0x[0-9a-fA-F]{0,64}$/.test(salt);
+        assertRed(
+            isHex || Number.isInteger(salt) || (typeof salt === 'string' && /^\d+$/.test(salt)),
+            'Invalid salt, it should be an hexadecimal string of at most 32 bytes, or a number.'
+            + '\nGiven : ' + salt
+        );
+        return isHex ? Web3.utils.padLeft(salt, 64) : Web3.utils.padLeft(Web3.utils.toHex(salt), 64);
+    }
+
+    /**
+     * Returns the address of the contract that a factory deploys with CREATE2.
+     * @param {string} factory Address of the factory or its alias in `w-contracts.json`.
+     * @param {string | int} salt Salt of the deployment, as an hexadecimal string of at most 32 bytes, or as
+     * a number.
+     * @param {string} initCode Init code of the contract: its bytecode followed by the encoded arguments of
+     * its constructor.
+     * @returns {string} The address of the contract.
+     */
+    predictCreate2Address(factory, salt, initCode) {
+        let factoryAddress = this._aliasesHandler(factory, 'ca');
+        assertRed(
+            factoryAddress,
+            'Unknown alias (neither in `w-contracts.json` nor in `w-accounts.json`) or invalid address.'
+            + '\nGiven : ' + factory
+        );
+        let payload = '0xff' + factoryAddress.slice(2) + this._salt(salt).slice(2) + Web3.utils.keccak256(initCode).slice(2);
+        return Web3.utils.toChecksumAddress('0x' + Web3.utils.keccak256(payload).slice(-40));
+    }
+
+    /**
+     * Returns the address of the CREATE2 factory of the current network, given as the field
+     * `options.create2Factory` of the network in `w-providers.json`. By default, it is the deterministic
+     * deployment proxy, deployed at the same address on most networks.
+     * @returns {string} Address of the CREATE2 factory.
+     */
+    _create2Factory() {
+        let options = this.providers[this.provider.network].options;
+        if (!options || !options.create2Factory) return '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+        let address = this._aliasesHandler(options.create2Factory, 'ca');
+        assertRed(
+            address,
+            'Unknown CREATE2 factory alias (not in `w-contracts.json`) or invalid address in `w-providers.json`.'
+            + '\nGiven network: ' + this.provider.network
+            + '\nGiven factory: ' + options.create2Factory
+        );
+        return address;
+    }
+
+    /**
+     * Registers a deployed contract in `w-contracts.json`, under the current network, and in memory so that
+     * its alias can be used immediately. Its ABI is referenced next to its address: the path of its artifact
+     * file if it was deployed from one, otherwise the ABI is written in `abis/<alias>.json` next to
+     * `w-contracts.json`. If there is no `w-contracts.json`, it is created next to the script.
+     * @param {string} alias Alias of the contract.
+     * @param {string} address Address of the contract.
+     * @param {string | Object} artifact Path of the artifact file of the contract, or its artifact.
+     */
+    _registerContract(alias, address, artifact) {
+        if (!this.contracts) {
+            this.contracts = {};
+            this.contractsPath = path.join(this.configurationDir, 'w-contracts.json');
+        }
+        let contractsDir = path.dirname(this.contractsPath);
+        let abi;
+        if (typeof artifact === 'string') {
+            abi = path.relative(contractsDir, path.resolve(artifact)).split(path.sep).join('/');
+        } else {
+            abi = `abis/${alias}.json`;
+            fs.mkdirSync(path.join(contractsDir, 'abis'), { recursive: true });
+            fs.writeFileSync(path.join(contractsDir, abi), JSON.stringify(artifact.abi, null, 4) + '\n');
+        }
+
+        let network = this.provider.network;
+        let previous = this.contracts[alias] ? this.contracts[alias][network] : undefined;
+        if (previous && previous.toLowerCase() !== address.toLowerCase()) {
+            warning(`The alias ${alias} was registered with the address ${previous} on ${network}, it is replaced.`);
+        }
+        let contractsFile = {};
+        if (fs.existsSync(this.contractsPath)) {
+            contractsFile = JSON.parse(fs.readFileSync(this.contractsPath, { encoding: 'utf8', flag: 'r' }));
+        }
+        let entry = { [network]: address, abi: abi };
+        if (typeof artifact !== 'string' && artifact.storageLayout) {
+            // an artifact path given as `abi` already holds the layout
+            entry.storageLayout = `layouts/${alias}.json`;
+            fs.mkdirSync(path.join(contractsDir, 'layouts'), { recursive: true });
+            fs.writeFileSync(path.join(contractsDir, entry.storageLayout), JSON.stringify(artifact.storageLayout, null, 4) + '\n');
+        }
+        contractsFile[alias] = { ...contractsFile[alias], ...entry };
+        fs.writeFileSync(this.contractsPath, JSON.stringify(contractsFile, null, 4) + '\n');
+
+        this.contracts[alias] = { ...this.contracts[alias], ...entry };
+        delete this.abis[alias];
+        delete this.layouts[alias];
+        if (this.recaps) console.log(colorize(`• Contract registered as ${alias} in ${this.contractsPath}.`, 'cyan'));
+    }
+
+    /**
+     * @param {string} network Network of the deployments.
+     * @returns {string} The folder of the deployment records of the network, `deployments/<network>` next to
+     * `w-contracts.json`.
+     */
+    _deploymentsDir(network) {
+        let baseDir = this.contractsPath ? path.dirname(this.contractsPath) : this.configurationDir;
+        return path.join(baseDir, 'deployments', network);
+    }
+
+    /**
+     * Writes the record of a deployment in `deployments/<network>/<address>.json`, with the version and the
+     * settings of the compiler, and the standard JSON input of the compilation in `<address>.input.json`.
+     * @param {Object} record Deployment: `address`, `network`, `contractName`, `sourceName`, `deployer`,
+     * `transactionHash`, `blockNumber`, `create2` and `constructorArguments`.
+     * @param {Object} artifact Artifact of the deployed contract.
+     * @param {Object} buildInfo Build information of the contract (see `_buildInfo`), or `null` if unknown.
+     */
+    _saveDeployment(record, artifact, buildInfo) {
+        let compilerVersion = null;
+        let settings = null;
+        if (buildInfo) {
+            compilerVersion = buildInfo.solcVersion;
+            settings = { ...buildInfo.input.settings };
+            delete settings.outputSelection;
+        } else {
+            // artifacts without build information still carry the compiler version in their metadata
+            try {
+                compilerVersion = 'v' + JSON.parse(artifact.metadata).compiler.version;
+            } catch { }
+        }
+
+        let deploymentsDir = this._deploymentsDir(record.network);
+        let inputFile = null;
+        fs.mkdirSync(deploymentsDir, { recursive: true });
+        if (buildInfo) {
+            inputFile = `${record.address}.input.json`;
+            fs.writeFileSync(path.join(deploymentsDir, inputFile), JSON.stringify(buildInfo.input, null, 4) + '\n');
+        }
+        record = { ...record, compilerVersion: compilerVersion, settings: settings, input: inputFile };
+        let recordPath = path.join(deploymentsDir, `${record.address}.json`);
+        fs.writeFileSync(recordPath, JSON.stringify(record, null, 4) + '\n');
+        if (this.recaps) console.log(colorize(`• Deployment record saved in ${recordPath}.`, 'cyan'));
+    }
+
+    /**
+     * Returns the parameters expected by an Etherscan-like verification API for a contract deployed with
+     * `deploy`, from its deployment record.
+     * @param {string} contract Alias of the contract in `w-contracts.json` or its address.
+     * @param {string} network Network of the deployment. If not specified, it is the network of the provider.
+     * @returns {Object} The parameters of the verification request.
+     */
+    verificationPayload(contract, network) {
+        network = network || (this.provider ? this.provider.network : undefined);
+        assertRed(
+            typeof network === 'string',
+            'No provider set, give the network of the deployment.'
+        );
+        let address = this._isAddress(contract)
+            ? Web3.utils.toChecksumAddress(contract)
+            : (this.contracts && this.contracts[contract] ? this.contracts[contract][network] : undefined);
+        assertRed(
+            address,
+            'Unknown contract alias on this network (not in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + contract
+            + '\nNetwork: ' + network
+        );
+
+        let deploymentsDir = this._deploymentsDir(network);
+        let record;
+        try {
+            record = JSON.parse(fs.readFileSync(path.join(deploymentsDir, `${address}.json`), { encoding: 'utf8', flag: 'r' }));
+        } catch {
+            record = null;
+        }
+        assertRed(
+            record,
+            'No deployment record for this contract, only contracts deployed with `deploy` can be verified.'
+            + '\nGiven : ' + contract
+            + '\nNetwork: ' + network
+        );
+        assertRed(
+            record.input,
+            'The deployment record has no compiler input, the contract was deployed from an artifact without build information.'
+            + '\nGiven : ' + contract
+        );
+        let input = fs.readFileSync(path.join(deploymentsDir, record.input), { encoding: 'utf8', flag: 'r' });
+
+        return {
+            module: 'contract',
+            action: 'verifysourcecode',
+            contractaddress: record.address,
+            sourceCode: JSON.stringify(JSON.parse(input)),
+            codeformat: 'solidity-standard-json-input',
+            contractname: record.sourceName + ':' + record.contractName,
+            compilerversion: record.compilerVersion,
+            // the misspelling is the one of the Etherscan API
+            constructorArguements: record.constructorArguments.slice(2)
+        };
+    }
+
+    /** Deploys a contract.
+     * @param {string} from Alias of the sender in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {string[] | string | Object} folders Folders in which the contracts are located. Their subfolders
+     * are also compiled, and the imports are resolved with the remappings set by `setRemappings`, then from the
+     * current directory and from the `node_modules` folders. To deploy a contract built by `compile` instead,
+     * it can be its artifact or the path of its artifact file.
+     * @param {string} contractName Name of the contract to be deployed, or `<path>:<name>` if several compiled
+     * contracts have the same name. Ignored if an artifact is given.
+     * @param {string} args Arguments of the constructor.
+     * @param {string} optimization Number of runs of the optimizer.
+     * @param {string | Object} gasPrice Gas price of the transaction, or an object with the fields `maxFeePerGas`
+     * and/or `maxPriorityFeePerGas` for an EIP-1559 transaction. The values are in the unit set by the function
+     * `w.setGasPriceUnit()`, by default it is `'gwei'`. If not specified, the fees are suggested according to
+     * the fee mode of the network.
+     * @param {int} gasLimit Gas limit of the deployment. If not specified, it is estimated and multiplied
+     * by the multiplier set by `setGasMultiplier`.
+     * @param {bool | string} register `true` to register the deployed contract in `w-contracts.json` under
+     * its name, or the alias to register it under. Can be `null` or `undefined`.
+     * @param {string | int} salt If given, the contract is deployed with CREATE2 through the factory of the
+     * network (see `_create2Factory`) with this salt, so that it has the same address on every network.
+     * It must be an hexadecimal string of at most 32 bytes, or a number. Can be `null` or `undefined`.
+     * @returns {Promise} Address of the deployed contract, or the simulated result of the deployment in
+     * dry-run mode (see `setDryRun`).
+     */
+    async deploy(from, folders, contractName, args, optimization, gasPrice, gasLimit, register, salt) {
+        this._web3Assertion();
+        this._accountsAssertion();
+
+        let artifact;
+        let source;
+        let buildInfo = null;
+        if (Array.isArray(folders)) {
+            let { input, sources } = this._compilerInput(folders, optimization);
+            let compiler = await this._solc(input);
+            let output = this._compile(input, sources, compiler);
+            let contractFile = this._contractFile(output, contractName);
+            artifact = this._artifact(output, contractFile, contractName.split(':').pop());
+            source = sources[contractFile];
+            buildInfo = this._buildInfo(input, sources, compiler);
+        } else {
+            artifact = this._readArtifact(folders);
+            source = artifact.sourceName + ':' + artifact.contractName;
+            if (artifact.buildInfo) {
+                try {
+                    buildInfo = JSON.parse(fs.readFileSync(artifact.buildInfo, { encoding: 'utf8', flag: 'r' }));
+                } catch {
+                    warning(`Unable to read the build information of the artifact, the deployment will not be verifiable.`);
+                }
+            }
+        }
+        let alias = register === true ? artifact.contractName : register;
+        assertRed(
+            !register || (typeof alias === 'string' && alias.length > 0),
+            'The artifact has no contract name, give the alias to register the contract under.'
+        );
+
+        let contract = new this.web3.eth.Contract(artifact.abi);
+        let transaction = contract.deploy({
+            data: artifact.bytecode,
+            arguments: args,
+        });
+
+        let fromAccount = this._signerAccount(from);
+
+        let deployment = {
+            from: fromAccount.address,
+            data: '0x' + transaction.encodeABI().replace(/^0x/, ''),
+            ...this._convertFees(gasPrice)
+        };
+        // the bytecode of an artifact may be given with or without its `0x` prefix
+        let constructorArguments = '0x' + deployment.data.slice(2 + artifact.bytecode.replace(/^0x/, '').length);
+        let predictedAddress = null;
+        let factory = null;
+        if (salt !== undefined && salt !== null) {
+            factory = this._create2Factory();
+            assertRed(
+                await this.web3.eth.getCode(factory) !== '0x',
+                'The CREATE2 factory is not deployed on this network.'
+                + '\nNetwork: ' + this.provider.network
+                + '\nFactory: ' + factory
+            );
+            predictedAddress = this.predictCreate2Address(factory, salt, deployment.data);
+            assertRed(
+                await this.web3.eth.getCode(predictedAddress) === '0x',
+                'A contract is already deployed at the predicted address.'
+                + '\nPredicted address: ' + predictedAddress
+            );
+            // the factory takes the salt followed by the init code
+            deployment.to = factory;
+            deployment.data = this._salt(salt) + deployment.data.slice(2);
+        }
+        if (gasLimit) deployment.gas = gasLimit;
+        await this._applyGasLimit(deployment);
+        await this._applyFees(deployment);
+
+        let confirmation = true;
+        if (this.recaps || this.confirmations) {
+            console.log(colorize(`• Contract to be deployed :`, 'cyan'))
+            console.log(source)
+            if (predictedAddress) console.log(colorize('• CREATE2 address : ', 'cyan') + predictedAddress);
+            console.log(colorize('• Fees : ', 'cyan') + this._feesRecap(deployment));
+        }
+        if (this.dryRun) {
+            deployment.nonce = await this._nextNonce(deployment.from, true);
+            let signedTransaction = await this.web3.eth.accounts.signTransaction(
+                deployment,
+                await this._privateKey(fromAccount)
+            );
+            return this._simulate(deployment, signedTransaction);
+        }
+        if (this.confirmations) {
+            confirmation = await askConfirmation(
+                colorize('\nDo you really want to deploy this contract (y/n) ? ', 'yellow')
+            );
+            console.log();
+        }
+
+        if (confirmation) {
+            let privateKey = await this._privateKey(fromAccount);
+            deployment.nonce = await this._nextNonce(deployment.from);
+            let signedTransaction = await this._signTransaction(deployment, privateKey);
+            let result = this._broadcast(deployment, signedTransaction);
+            if (this.receipts) {
+                result
+                    .then((receipt) => {
+                        console.log(colorize('✔ Contract deployed.', 'green'));
+                        console.log(receipt);
+                    })
+                    .catch(async (err) => {
+                        if (err.receipt) {
+                            console.log(colorize('✖ Deployment reverted.', 'red'));
+                            console.log(err.receipt);
+                            let reason = await this.whyFailed(err.receipt.transactionHash).catch(() => null);
+                            if (reason) console.log(colorize('• Revert reason : ', 'cyan') + reason);
+                        } else {
+                            console.log(err);
+                        }
+                    });
+            }
+            let receipt = await result;
+            let contractAddress = predictedAddress || receipt.contractAddress;
+            try {
+                this._saveDeployment({
+                    address: contractAddress,
+                    network: this.provider.network,
+                    contractName: artifact.contractName,
+                    sourceName: artifact.sourceName,
+                    deployer: deployment.from,
+                    transactionHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    create2: predictedAddress ? { factory: factory, salt: this._salt(salt) } : null,
+                    constructorArguments: constructorArguments
+                }, artifact, buildInfo);
+            } catch (err) {
+                // the contract is deployed anyway, its address must still be returned
+                warning('Unable to save the deployment record, the deployment will not be verifiable: ' + err.message);
+            }
+            if (register) {
+                this._registerContract(alias, contractAddress, typeof folders === 'string' ? folders : artifact);
+            }
+            return contractAddress;
+        } else {
+            return Promise.reject(new Error('Send aborted by the user.'));
+        }
+    }
+
+    /**
+     * Returns the storage at an index of a contract.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {int | string | object} slot Slot of the storage, as an integer or hexadecimal string, or a location `{ slot, offset }`.
+     * @param {string | string[]} returns Types stored at the slot. If not specified it won't decode the output
+     * @param {int} offset Offset in bytes, from the right, of a value packed in the slot.
+     * @param {int} size Size in bytes of the packed value. If not specified, it is the size of its type.
+     * @returns {Promise<string>} Value of the storage at the given index.
+     */
+    async storage(contract, slot, returns, offset, size) {
+        this._web3Assertion();
+        let address = this._aliasesHandler(contract);
+        assertRed(
+            address,
+            'Unknown alias (not in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + contract
+        );
+        if (slot !== null && typeof slot === 'object' && slot.slot !== undefined) {
+            if (offset === undefined || offset === null) offset = slot.offset;
+            slot = slot.slot;
+        }
+        let encodedResult = await this.web3.eth.getStorageAt(address, slot, this.blockCall);
+        if (offset === undefined || offset === null) {
+            return returns ? this._decode(encodedResult, returns) : encodedResult;
+        }
+
+        let type = Array.isArray(returns) ? returns[0] : returns;
+        if (size === undefined || size === null) {
+            assertRed(type, 'The size of a packed value is needed if its type is not given.');
+            size = this._storageSize(type).size;
+        }
+        assertRed(
+            offset >= 0 && size > 0 && offset + size <= 32,
+            'The packed value should fit in the slot.'
+            + '\nGiven offset: ' + offset
+            + '\nGiven size: ' + size
+        );
+        let word = encodedResult.slice(2).padStart(64, '0');
+        let hex = word.slice((32 - offset - size) * 2, (32 - offset) * 2);
+        return type ? this._decodeStorageValue(type, hex) : '0x' + hex;
+    }
+
+    /**
+     * Prints the storage at an index of a contract.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {int | string | object} slot Slot of the storage, as an integer or hexadecimal string, or a location `{ slot, offset }`.
+     * @param {string | string[]} returns Types stored at the slot. If not specified it won't decode the output
+     * @param {int} offset Offset in bytes, from the right, of a value packed in the slot.
+     * @param {int} size Size in bytes of the packed value. If not specified, it is the size of its type.
+     */
+    async printStorage(contract, slot, returns, offset, size) {
+        this.storage(contract, slot, returns, offset, size).then(console.log);
+    }
+
+    /**
+     * Returns the keccak256 hash of the given input. 
+     * @param {String} value Value to be hashed.
+     * @returns {String} Keccak256 hash of the given input.
+     */
+    keccak256(value) {
+        return this.web3.utils.soliditySha3(value);
+    }
+
+    /** 
+     * Returns the storage index of a value in a mapping. For nested mappings, the keys are given in order.
+     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
+     * @param {string[] | string[][]} key Key of the mapping, with the format `[type, value]`, or the list of the keys of nested mappings.
+     * @returns {string} The storage index of the value.
+    */
+    mappingValueSlot(slot, key) {
+        let keys = Array.isArray(key[0]) ? key : [key];
+        let valueSlot = Web3.utils.toBN(slot);
+        for (let [keyType, keyValue] of keys) {
+            valueSlot = this._mappingSlot(valueSlot, keyType, keyValue);
+        }
+        return '0x' + valueSlot.toString(16).padStart(64, '0');
+    }
+
+    /**
+     * Returns the size taken in storage by a value of a type, and whether it can be packed with its neighbours.
+     * Structs are not supported, their members can be located with `structMemberSlot`.
+     * @param {string} type Solidity type.
+     * @returns {Object} `{ size, packed }`, with the size in bytes.
+     */
+    _storageSize(type) {
+        let staticArray = type.match(/^(.*)\[(\d+)\]$/);
+        if (staticArray) {
+            let base = this._storageSize(staticArray[1]);
+            let length = Number(staticArray[2]);
+            let slots = base.size <= 16 ? Math.ceil(length / Math.floor(32 / base.size)) : length * Math.ceil(base.size / 32);
+            return { size: slots * 32, packed: false };
+        }
+        if (type.endsWith('[]') || type === 'string' || type === 'bytes' || type.startsWith('mapping')) {
+            return { size: 32, packed: false };
+        }
+        let size;
+        if (type === 'bool') size = 1;
+        else if (type === 'address' || type === 'address payable') size = 20;
+        else if (type === 'uint' || type === 'int') size = 32;
+        else if (/^u?int\d+$/.test(type)) size = Number(type.match(/\d+$/)[0]) / 8;
+        else if (/^bytes\d+$/.test(type)) size = Number(type.match(/\d+$/)[0]);
+        assertRed(
+            size > 0 && size <= 32,
+            'Unsupported type in storage.'
+            + '\nGiven : ' + type
+        );
+        return { size: size, packed: true };
+    }
+
+    /**
+     * Returns the location of an element of a dynamic array. Elements of at most 16 bytes are packed together.
+     * @param {int | string} slot Slot of the array, as an integer or hexadecimal string.
+     * @param {int} index Index of the element.
+     * @param {string | int} type Type of the elements (default: `uint256`), or their size in bytes, as for structs.
+     * @returns {Object} `{ slot, offset }`, with the offset in bytes of the element in its slot.
      */
-    async nonce(account) {
-        this._web3Assertion();
-        let accountAddress = this._aliasesHandler(account);
+    arrayElementSlot(slot, index, type = 'uint256') {
+        let size = typeof type === 'number' ? type : this._storageSize(type).size;
+        let location = this._arrayElement(size, this._hashSlot(Web3.utils.toBN(slot)), Web3.utils.toBN(index));
+        return { slot: '0x' + location.slot.toString(16).padStart(64, '0'), offset: location.offset };
+    }
+
+    /**
+     * Returns the location of a member of a struct. Members smaller than 32 bytes are packed together, while
+     * arrays, strings, bytes and mappings start a new slot.
+     * @param {int | string} slot Slot of the struct, as an integer or hexadecimal string.
+     * @param {string[]} types Types of the members of the struct, in order.
+     * @param {int} member Index of the member.
+     * @returns {Object} `{ slot, offset }`, with the offset in bytes of the member in its slot.
+     */
+    structMemberSlot(slot, types, member) {
         assertRed(
-            accountAddress,
-            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
-            + '\nGiven : ' + account
+            Number.isInteger(member) && member >= 0 && member < types.length,
+            'The member should be the index of one of the given types.'
+            + '\nGiven : ' + member
         );
-        return this.web3.eth.getTransactionCount(accountAddress);
+        let memberSlot = Web3.utils.toBN(slot);
+        let offset = 0;
+        for (let i = 0; ; i++) {
+            let { size, packed } = this._storageSize(types[i]);
+            if (offset > 0 && (!packed || offset + size > 32)) {
+                memberSlot = memberSlot.addn(1);
+                offset = 0;
+            }
+            if (i === member) return { slot: '0x' + memberSlot.toString(16).padStart(64, '0'), offset: offset };
+            if (packed) {
+                offset += size;
+            } else {
+                memberSlot = memberSlot.addn(size / 32);
+            }
+        }
     }
 
     /**
-     * Prints the nonce of an address (number of transactions if it is an EOA, number of contract deployed if it is a contract).
-     * @param {string} account Address or its alias in `w-accounts.json` or in `w-contracts.json`
+     * Returns the value of a mapping at a given index for a given key.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
+     * @param {*} key Key of the mapping, with the format `[type, value]`.
+     * @returns {Promise<string>} Value of the mapping at the given index for the given key.
      */
-    printNonce(account) {
-        this.nonce(account).then(console.log);
+    mappingValue(contract, slot, key, returns) {
+        let storageAddress = this.mappingValueSlot(slot, key);
+        return this.storage(contract, storageAddress, returns);
     }
 
     /**
-     * @notice Returns the response of the call to a smart contract.
-     * @param {string} contract Address of the contract or its alias in `w-contracts.json`
-     * @param {string} functionName Name of the function to call
-     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
-     * If there is only one argument to encode, it can be `args = [type, value]`
-     * @param {string[]} returns Types returned by the function. If not specified it won't decode the output
-     * @param {string} from Address of the caller or his alias in `w-accounts.json` or in `w-contracts.json`
-     * Can be `null` or `undefined`.
-     * @returns {Promise} Response of the call
+     * Prints the value of a mapping at a given index for a given key.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
+     * @param {*} key Key of the mapping, with the format `[type, value]`.
      */
-    async call(contract, functionName, args, returns, from) {
-        this._web3Assertion();
-        let contractAddress = this._contractsAliasesHandler(contract);
+    printMappingValue(contract, slot, key, returns) {
+        this.mappingValue(contract, slot, key, returns).then(console.log);
+    }
+
+    /**
+     * Returns the storage layout of a contract. If none is given, it is the one given in the field
+     * `storageLayout` of the alias of the contract in `w-contracts.json` (inline or as the path of a JSON file),
+     * or the one of the artifact given as its ABI.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`.
+     * @param {Object | string} layout Storage layout or artifact, or the path of a JSON file containing one.
+     * Can be `null`.
+     * @returns {Object} Storage layout of the contract, with the fields `storage` and `types`.
+     */
+    _storageLayout(contract, layout) {
+        if (layout) return this._readLayout(layout, process.cwd(), false);
+        let alias = this.contracts && this.contracts[contract] ? contract : this._contractAlias(contract);
+        if (alias && this.layouts[alias] === undefined) {
+            let given = this.contracts[alias].storageLayout;
+            let abi = this.contracts[alias].abi;
+            if (given) {
+                this.layouts[alias] = this._readLayout(given, path.dirname(this.contractsPath), false);
+            } else if (typeof abi === 'string') {
+                this.layouts[alias] = this._readLayout(abi, path.dirname(this.contractsPath), true);
+            } else {
+                this.layouts[alias] = null;
+            }
+        }
+        layout = alias ? this.layouts[alias] : null;
         assertRed(
-            contractAddress,
-            'Unknown contract alias (not in `w-contracts.json`) or invalid address.'
+            layout,
+            'Unknown storage layout for this contract, give it in `w-contracts.json` or as a parameter.'
             + '\nGiven : ' + contract
         );
-        let options = {
-            to: contractAddress,
-            data: this._encodeData(functionName, args)
-        };
-        if (from) {
-            let fromAddress = this._aliasesHandler(from);
+        return layout;
+    }
+
+    /**
+     * Reads a storage layout, given directly, inside an artifact or as the path of a JSON file.
+     * @param {Object | string} layout Storage layout or artifact, or the path of a JSON file containing one.
+     * @param {string} baseDir Directory against which a relative path is resolved.
+     * @param {bool} optional `true` to return `null` instead of throwing an error if there is no valid layout.
+     * @returns {Object} Storage layout, with the fields `storage` and `types`.
+     */
+    _readLayout(layout, baseDir, optional) {
+        if (typeof layout === 'string') {
+            let layoutPath = path.resolve(baseDir, layout);
+            try {
+                layout = JSON.parse(fs.readFileSync(layoutPath, { encoding: 'utf8', flag: 'r' }));
+            } catch {
+                layout = null;
+            }
             assertRed(
-                fromAddress,
-                'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
-                + '\nGiven : ' + from
+                layout || optional,
+                'Unable to read the storage layout.'
+                + '\nGiven layout path: ' + layoutPath
             );
-            options.from = fromAddress;
-        }
-        if (this.recaps) {
-            console.log(colorize('• Call options :', 'cyan'))
-            console.log(options);
-            console.log();
         }
-        let encodedResult = await this.web3.eth.call(options, this.blockCall);
-        return returns ? this._decode(encodedResult, returns) : encodedResult;
+        if (layout && layout.storageLayout) layout = layout.storageLayout;
+        let valid = layout && Array.isArray(layout.storage);
+        assertRed(
+            valid || optional,
+            'Invalid storage layout, it should have a `storage` field.'
+        );
+        return valid ? { storage: layout.storage, types: layout.types || {} } : null;
     }
 
     /**
-     * @notice Prints the response of the call to the smart contract.
-     * @param {string} contract Address of the contract or its alias in `w-contracts.json`.
-     * @param {string} functionName Name of the function to call.
-     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
-     * If there is only one argument to encode, it can be `args = [type, value]`. Can be `null` or `undefined`.
-     * @param {string[]} returns Types returned by the function. Can be `null` or `undefined`,
-     * in which case it won't decode the output
-     * @param {string} from Address of the caller or his alias in `w-accounts.json` or in `w-contracts.json`.
-     * Can be `null` or `undefined`.
+     * @param {BN} slot Slot of a dynamic array, or of a `string` or `bytes` longer than 31 bytes.
+     * @returns {BN} Slot of its first element, the hash of the slot.
      */
-    printCall(contract, functionName, args, returns, from) {
-        this.call(contract, functionName, args, returns, from)
-            .then((value) => {
-                console.log(colorize('• Call result : ', 'cyan') + value);
-            })
-            .catch((err) => {
-                console.log(colorize('✖ Error occured during the call : ', 'red') + err);
-            });
+    _hashSlot(slot) {
+        return Web3.utils.toBN(Web3.utils.keccak256('0x' + slot.toString(16).padStart(64, '0')));
     }
 
     /**
-     * Create a transaction object, without signing it nor sending it.
-     * @param {string} from Address of the sender or its alias in `w-accounts.json`. Its private key should also
-     * be present in the file.
-     * @param {string} to Address of the receiver or its alias in `w-contracts.json` or in `w-accounts.json`. 
-     * @param {string} functionName Name of the function to call.
-     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
-     * If there is only one argument to encode, it can be `args = [type, value]`. Can be `null` or `undefined`.
-     * @param {int} value Value to send to the function if it is `payable`. The value is unit set by the function
-     * `w.setValueUnit()`, by default it is `'ether'`.
-     * @param {int} gasLimit Gas limit to the transaction.
-     * @param {int} gasPrice Gas price of the transaction. The value is unit set by the function
-     * `w.setGasPriceUnit()`, by default it is `'gwei'`.
-     * @param {int} nonce Nonce of the transaction. If not specified, the nonce is set so that the transaction
-     * will be the next to be sent. If you want to set a relative nonce (to send the transaction after `x` transactions),
-     * you can give as parameter `w.$rel(x)`.
-     * @return {Object} Transaction object.
+     * Returns the slot of the value of a mapping for a key. Value types are padded to 32 bytes, `string` and
+     * `bytes` keys are hashed unpadded, as Solidity does.
+     * @param {BN} slot Slot of the mapping.
+     * @param {string} keyType Solidity type of the key.
+     * @param {*} key Key of the mapping. Addresses can be given by alias.
+     * @returns {BN} Slot of the value.
      */
-    prepareTransaction(from, to, functionName, args, value, gasLimit, gasPrice, nonce) {
-        this._accountsAssertion();
-        let fromAccount = this.accounts[from];
-        assertRed(
-            fromAccount,
-            'Unknown account alias (not in `w-accounts.json`).'
-            + '\nGiven account alias: ' + from
-        );
-        assertRed(
-            fromAccount.key,
-            'Private key not set in `w-accounts.json` for the given alias.'
-            + '\nGiven account alias: ' + from
-        );
-        let toAddress = this._aliasesHandler(to);
-        assertRed(
-            toAddress,
-            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
-            + '\nGiven : ' + to
-        );
-        let transaction = {
-            from: fromAccount,
-            to: toAddress,
-            gas: gasLimit
-        };
-        if (functionName) transaction.data = this._encodeData(functionName, args);
-        if (value) transaction.value = this._convertValue(value);
-        if (gasPrice) transaction.gasPrice = this._convertGasPrice(gasPrice);
-        if (nonce) transaction.nonce = nonce;
-        return transaction;
+    _mappingSlot(slot, keyType, key) {
+        let encodedKey;
+        if (keyType === 'string') {
+            encodedKey = Web3.utils.utf8ToHex(key);
+        } else if (keyType === 'bytes') {
+            encodedKey = key;
+        } else {
+            keyType = keyType.startsWith('contract ') ? 'address' : keyType.startsWith('enum ') ? 'uint8' : keyType;
+            if (keyType === 'address') {
+                let address = this._aliasesHandler(key);
+                assertRed(
+                    address,
+                    'Unknown alias or invalid address given as a mapping key.'
+                    + '\nGiven : ' + key
+                );
+                key = address;
+            }
+            encodedKey = this.web3.eth.abi.encodeParameter(keyType, key);
+        }
+        return Web3.utils.toBN(Web3.utils.keccak256(encodedKey + slot.toString(16).padStart(64, '0')));
     }
 
     /**
-     * Sends a transaction to a smart contact or an account address.
-     * @param {string} from Alias of the sinder in `w-accounts.json`. Its private key should also
-     * be present in the file.
-     * @param {string} to Address of the receiver or its alias in `w-contracts.json` or in `w-accounts.json`. 
-     * @param {string} functionName Name of the function to call. Can be `null` or `undefined`.
-     * @param {string[][]} args Arguments to encode, as an array of `[type, value]` tuples.
-     * If there is only one argument to encode, it can be `args = [type, value]`. Can be `null` or `undefined`.
-     * @param {int} value Value to send to the function if it is `payable`. The value is unit set by the function
-     * `w.setValueUnit()`, by default it is `'ether'`.
-     * @param {int} gasLimit Gas limit to the transaction.
-     * @param {int} gasPrice Gas price of the transaction. The value is unit set by the function
-     * `w.setGasPriceUnit()`, by default it is `'gwei'`.
-     * @param {int} nonce Nonce of the transaction. If not specified, the nonce is set so that the transaction
-     * will be the next to be sent. If you want to set a relative nonce (to send the transaction after `x` transactions),
-     * you can give as parameter `w.$rel(x)`.
-     * @returns {Promise} Response of the signed transaction.
+     * Returns the location of an element of an array. Elements of at most 16 bytes are packed together.
+     * @param {int} size Size of the elements, in bytes.
+     * @param {BN} start Slot of the first element.
+     * @param {BN} index Index of the element.
+     * @returns {Object} `{ slot, offset }`, with the offset in bytes of the element in its slot.
      */
-    async send(from, to, functionName, args, value, gasLimit, gasPrice, nonce) {
-        this._web3Assertion();
-        this._accountsAssertion();
-        let transaction = await this.prepareTransaction(from, to, functionName, args, value, gasLimit, gasPrice, nonce)
-        let fromAccount = transaction.from;
-        transaction = { ...transaction, from: fromAccount.address };
+    _arrayElement(size, start, index) {
+        if (size <= 16) {
+            let perSlot = Math.floor(32 / size);
+            return { slot: start.add(index.divn(perSlot)), offset: index.modn(perSlot) * size };
+        }
+        return { slot: start.add(index.muln(Math.ceil(size / 32))), offset: 0 };
+    }
 
-        let [isRel, decodedNonce] = this.#decode$rel(transaction.nonce);
-        if (transaction.nonce) {
-            if (isRel) {
-                transaction.nonce = await this.nonce(transaction.from) + decodedNonce;
+    /**
+     * Locates the value reached from a storage location by a key of a mapping, an index of an array or a
+     * member of a struct.
+     * @param {Object} types Types of the storage layout.
+     * @param {Object} location Location of the mapping, array or struct: `{ type, slot, offset }`.
+     * @param {*} key Key, index or name of the member.
+     * @param {function} read Reads a slot, given as a BN, and returns a promise of the 32 bytes word.
+     * @returns {Promise<Object>} Location of the value: `{ type, slot, offset }`.
+     */
+    async _locateStorage(types, location, key, read) {
+        let type = types[location.type];
+        if (type.encoding === 'mapping') {
+            return { type: type.value, slot: this._mappingSlot(location.slot, types[type.key].label, key), offset: 0 };
+        }
+        if (type.members) {
+            let member = type.members.find(member => member.label === key);
+            assertRed(
+                member,
+                'Unknown member of ' + type.label + '.'
+                + '\nGiven : ' + key
+                + '\nMembers: ' + type.members.map(member => member.label).join(', ')
+            );
+            return { type: member.type, slot: location.slot.add(Web3.utils.toBN(member.slot)), offset: member.offset };
+        }
+        if (type.base) {
+            let index = Web3.utils.toBN(key);
+            let length;
+            let start;
+            if (type.encoding === 'dynamic_array') {
+                length = Web3.utils.toBN(await read(location.slot));
+                start = this._hashSlot(location.slot);
             } else {
-                transaction.nonce = decodedNonce;
+                length = Web3.utils.toBN(location.type.match(/(\d+)_storage$/)[1]);
+                start = location.slot;
             }
+            assertRed(
+                index.lt(length),
+                'Index out of the bounds of ' + type.label + '.'
+                + '\nGiven : ' + key
+                + '\nLength: ' + length.toString()
+            );
+            return { type: type.base, ...this._arrayElement(Number(types[type.base].numberOfBytes), start, index) };
         }
+        assertRed(false, 'The type ' + type.label + ' has no key, index or member.' + '\nGiven : ' + key);
+    }
 
-        let confirmation = true;
-        if (this.recaps || this.confirmations) {
-            console.log(colorize('• Transaction to be sent :', 'cyan'))
-            console.log(transaction);
-            console.log();
+    /**
+     * Decodes the value at a storage location: strings and bytes, structs (without their mappings), arrays,
+     * and value types.
+     * @param {Object} types Types of the storage layout.
+     * @param {Object} location Location of the value: `{ type, slot, offset }`.
+     * @param {function} read Reads a slot, given as a BN, and returns a promise of the 32 bytes word.
+     * @returns {Promise<*>} The decoded value.
+     */
+    async _decodeStorage(types, location, read) {
+        let type = types[location.type];
+        assertRed(
+            type.encoding !== 'mapping',
+            'A mapping cannot be read entirely, give its keys.'
+        );
+        if (type.encoding === 'bytes') {
+            let word = await read(location.slot);
+            let value = Web3.utils.toBN(word);
+            let data;
+            if (value.isOdd()) {
+                let length = value.subn(1).divn(2).toNumber();
+                let start = this._hashSlot(location.slot);
+                let words = await mapInBatches(Math.ceil(length / 32), this.storageBatchSize, i => read(start.addn(i)));
+                data = words.map(word => word.slice(2)).join('').slice(0, length * 2);
+            } else {
+                // short values are stored with their length in the lowest byte
+                data = word.slice(2, 2 + value.andln(0xff));
+            }
+            return type.label === 'string' ? Web3.utils.hexToUtf8('0x' + data) : '0x' + data;
         }
-        if (this.confirmations) {
-            confirmation = await askConfirmation(
-                colorize('\nDo you really want to make a `send` with these options (y/n) ? ', 'yellow')
+        if (type.members) {
+            let result = {};
+            for (let member of type.members) {
+                if (types[member.type].encoding === 'mapping') continue;
+                result[member.label] = await this._decodeStorage(types, await this._locateStorage(types, location, member.label, read), read);
+            }
+            return result;
+        }
+        if (type.base) {
+            let length = type.encoding === 'dynamic_array'
+                ? Web3.utils.toBN(await read(location.slot))
+                : Web3.utils.toBN(location.type.match(/(\d+)_storage$/)[1]);
+            assertRed(
+                length.lten(this.maxArrayLength),
+                'The array is too long to be read entirely, give the index of an element.'
+                + '\nType  : ' + type.label
+                + '\nLength: ' + length.toString()
+                + '\nMaximum: ' + this.maxArrayLength
+            );
+            return mapInBatches(length.toNumber(), this.storageBatchSize, async (i) =>
+                this._decodeStorage(types, await this._locateStorage(types, location, i, read), read)
             );
-            console.log();
         }
 
-        if (confirmation) {
-            let signedTransaction = await this.web3.eth.accounts.signTransaction(transaction, fromAccount.key);
-            let result = this.web3.eth.sendSignedTransaction(signedTransaction.rawTransaction);
-            if (this.receipts) {
-                result
-                    .then((receipt) => {
-                        console.log(colorize('✔ Transaction succeed.', 'green'));
-                        console.log(receipt);
-                    })
-                    .catch((err) => {
-                        if (err.receipt) {
-                            console.log(colorize('✖ Transaction reverted.', 'red'));
-                            console.log(err.receipt);
-                        } else {
-                            console.log(err);
-                        }
-                    });
-            }
-            return result;
-        } else {
-            return Promise.reject(new Error('Send aborted by the user.'));
+        let word = await read(location.slot);
+        let size = Number(type.numberOfBytes);
+        let hex = word.slice(2 + (32 - location.offset - size) * 2, 2 + (32 - location.offset) * 2);
+        return this._decodeStorageValue(type.label, hex);
+    }
+
+    /**
+     * Decodes a value type read from the storage.
+     * @param {string} label Solidity type of the value.
+     * @param {string} hex Bytes of the value, as an hexadecimal string without `0x`.
+     * @returns {*} The decoded value: a boolean, a checksummed address, a decimal string for the integers and
+     * enums, and an hexadecimal string otherwise.
+     */
+    _decodeStorageValue(label, hex) {
+        if (label === 'bool') return !Web3.utils.toBN('0x' + hex).isZero();
+        if (label.startsWith('address') || label.startsWith('contract ')) {
+            return Web3.utils.toChecksumAddress('0x' + hex.slice(-40));
         }
+        if (/^int\d*$/.test(label)) return Web3.utils.toBN('0x' + hex).fromTwos(hex.length * 4).toString();
+        if (/^uint\d*$/.test(label) || label.startsWith('enum ')) return Web3.utils.toBN('0x' + hex).toString();
+        // fixed bytes, functions and user defined value types
+        return '0x' + hex;
     }
 
     /**
-     * @notice Sends multiple transactions simultaneously. The nonces are ordered as the transactions
-     * are ordered in the array.
-     * @param {Object[]} transactions List of transactions to send created by `prepareTransaction()`.
+     * Returns the value of a state variable of a contract, located with the storage layout of the contract.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {string} variable Name of the state variable.
+     * @param {*} keys Keys of the mappings, indexes of the arrays and names of the struct members to go through,
+     * in order. A single key can be given directly.
+     * @param {Object | string} layout Storage layout or artifact of the contract, or the path of a JSON file
+     * containing one. If not specified, it is taken from `w-contracts.json`.
+     * @returns {Promise<*>} Decoded value of the variable, at the block set by `setBlockCall`.
      */
-    async multiSend(preparedTransactions, resolves, rejects) {
+    async readVar(contract, variable, keys, layout) {
         this._web3Assertion();
-        this._accountsAssertion();
-
-        let lastNonceByAddress = {};
-        let currentNonceByAddress = {}
-        let signedTransactions = []
-        for (let i = 0; i < preparedTransactions.length; i++) {
-            let transaction = preparedTransactions[i];
-            let fromAccount = transaction.from;
-            transaction.from = fromAccount.address;
-
-            let [isRel, decodedNonce] = this.#decode$rel(transaction.nonce);
-            if (transaction.nonce) {
-                if (isRel) {
-                    if (!currentNonceByAddress[transaction.from]) {
-                        currentNonceByAddress[transaction.from] = await this.nonce(transaction.from)
-                    }
-                    transaction.nonce = currentNonceByAddress[transaction.from] + decodedNonce;
-                } else {
-                    transaction.nonce = decodedNonce;
-                }
-            } else {
-                if (lastNonceByAddress[transaction.from]) {
-                    transaction.nonce = lastNonceByAddress[transaction.from] + 1;
-                } else {
-                    if (!currentNonceByAddress[transaction.from]) {
-                        currentNonceByAddress[transaction.from] = await this.nonce(transaction.from);
-                    }
-                    transaction.nonce = currentNonceByAddress[transaction.from]
-                }
+        let address = this._aliasesHandler(contract, 'ca');
+        assertRed(
+            address,
+            'Unknown alias (not in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + contract
+        );
+        layout = this._storageLayout(contract, layout);
+        let variableLayout = layout.storage.find(entry => entry.label === variable);
+        assertRed(
+            variableLayout,
+            'Unknown state variable.'
+            + '\nGiven : ' + variable
+            + '\nVariables: ' + layout.storage.map(entry => entry.label).join(', ')
+        );
 
+        let words = {};
+        let read = (slot) => {
+            let key = slot.toString(16);
+            if (words[key] === undefined) {
+                words[key] = this.web3.eth.getStorageAt(address, '0x' + key, this.blockCall)
+                    .then(word => '0x' + word.slice(2).padStart(64, '0'));
             }
-            lastNonceByAddress[transaction.from] = transaction.nonce;
-            signedTransactions[i] = await this.web3.eth.accounts.signTransaction(transaction, fromAccount.key);
+            return words[key];
+        };
+        let location = {
+            type: variableLayout.type,
+            slot: Web3.utils.toBN(variableLayout.slot),
+            offset: variableLayout.offset
+        };
+        keys = keys === undefined || keys === null ? [] : Array.isArray(keys) ? keys : [keys];
+        for (let key of keys) {
+            location = await this._locateStorage(layout.types, location, key, read);
         }
+        return this._decodeStorage(layout.types, location, read);
+    }
 
-        let confirmation = true;
-        if (this.recaps || this.confirmations) {
-            for (let i = 0; i < preparedTransactions.length; i++) {
-                console.log(colorize(`• Transaction n°${i + 1} to be sent :`, 'cyan'))
-                console.log(preparedTransactions[i]);
-                console.log();
-            }
-        }
-        if (this.confirmations) {
-            confirmation = await askConfirmation(
-                colorize('\nDo you really want to make all these `send` with these options (y/n) ? ', 'yellow')
+    /**
+     * Prints the value of a state variable of a contract, located with the storage layout of the contract.
+     * @param {string} contract Contract address or its alias in `w-contracts.json`.
+     * @param {string} variable Name of the state variable.
+     * @param {*} keys Keys of the mappings, indexes of the arrays and names of the struct members to go through,
+     * in order.
+     * @param {Object | string} layout Storage layout or artifact of the contract, or the path of a JSON file
+     * containing one.
+     */
+    printReadVar(contract, variable, keys, layout) {
+        this.readVar(contract, variable, keys, layout).then(console.log);
+    }
+
+    /**
+     * Returns the ABI of an event from its signature, as `Transfer(address indexed from,address indexed to,uint256 value)`.
+     * The names of the parameters are optional. If the ABI of the contract is given in `w-contracts.json`,
+     * the name of the event is enough.
+     * @param {string} contract Address of the contract or its alias in `w-contracts.json`. Can be `null`.
+     * @param {string} signature Signature or name of the event.
+     * @returns {Object} ABI of the event.
+     */
+    _eventAbi(contract, signature) {
+        let abi = contract && !Array.isArray(contract) ? this._contractAbi(contract) : null;
+        let events = abi ? abi.filter(item => item.type === 'event') : [];
+        if (!signature.includes('(')) {
+            let candidates = events.filter(item => item.name === signature);
+            assertRed(
+                candidates.length === 1,
+                (candidates.length === 0 ? 'Event not found in the ABI of the contract' : 'Event overloaded in the ABI of the contract')
+                + ', give its full signature instead.'
+                + '\nGiven contract: ' + contract
+                + '\nGiven event: ' + signature
             );
-            console.log();
+            return candidates[0];
         }
 
-        if (confirmation) {
-            for (let i = 0; i < signedTransactions.length; i++) {
-                let resolve = resolves && resolves[i] ? resolves[i] : () => { };
-                let reject = rejects && rejects[i] ? rejects[i] : () => { };
-                this.web3.eth.sendSignedTransaction(signedTransactions[i].rawTransaction)
-                    .then(resolve)
-                    .catch(reject);
+        let match = signature.trim().match(/^(\w+)\s*\((.*)\)$/);
+        assertRed(
+            match,
+            'Invalid event signature.'
+            + '\nGiven signature: ' + signature
+        );
+        let params = [];
+        let depth = 0;
+        let current = '';
+        for (let char of match[2]) {
+            if (char === ',' && depth === 0) {
+                params.push(current);
+                current = '';
+                continue;
             }
-        } else {
-            return Promise.reject(new Error('Send aborted by the user.'));
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            current += char;
         }
+        if (current.trim()) params.push(current);
+
+        let inputs = params.map(param => {
+            let words = param.trim().split(/\s+/);
+            assertRed(
+                this._isType(words[0]) && !words[0].startsWith('('),
+                'Invalid or unsupported parameter type in the event signature, give the ABI of the contract'
+                + ' in `w-contracts.json` instead.'
+                + '\nGiven signature: ' + signature
+            );
+            let indexed = words.includes('indexed');
+            let name = words.length > (indexed ? 2 : 1) ? words[words.length - 1] : '';
+            return { type: words[0], name: name, indexed: indexed };
+        });
+        let eventAbi = { type: 'event', name: match[1], inputs: inputs, anonymous: false };
+
+        let canonical = this._abiSignature(eventAbi);
+        let known = events.find(item => this._abiSignature(item) === canonical && item.inputs.every(
+            (input, i) => !!input.indexed === inputs[i].indexed
+        ));
+        return known || eventAbi;
     }
 
     /**
-     * Transfers ether or ERC20 token.
-     * @param {string} from Alias of the sinder in `w-accounts.json`. Its private key should also
-     * be present in the file.
-     * @param {string} to Receiver address or alias.
-     * @param {int} amount Amount transfered, in the unit set by setValueUnit
-     * @param {string} token ERC20 contract address or alias of the token to be transfered. If it is not 
-     * specified, it will transfer ether.
-     * @return {Promise} Transaction result.
+     * Encodes the value of an indexed parameter of an event as a topic.
+     * @param {Object} param ABI of the parameter.
+     * @param {*} value Value of the parameter. Addresses can be given as aliases.
+     * @returns {string} The topic.
      */
-    async transfer(from, to, amount, token) {
-        let toAddress = this._aliasesHandler(to);
-        if (token) {
-            return this.send(
-                from,
-                token,
-                'transfer',
-                [['address', toAddress], ['uint256', this._convertValue(amount)]],
-                null,
-                100000,
-                null
+    _topic(param, value) {
+        if (param.type === 'address') {
+            let address = this._aliasesHandler(value);
+            assertRed(
+                address,
+                'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+                + '\nGiven : ' + value
             );
-        } else {
-            return this.send(from, to, null, null, amount, 21000, null);
+            return this.web3.eth.abi.encodeParameter('address', address);
         }
+        if (param.type === 'string') return this.web3.utils.sha3Raw(this.web3.utils.utf8ToHex(value));
+        if (param.type === 'bytes') return this.web3.utils.sha3Raw(value);
+        assertRed(
+            !param.type.includes('[') && param.type !== 'tuple',
+            'Filtering on indexed arrays and structs is not supported.'
+            + '\nGiven parameter: ' + (param.name || param.type)
+        );
+        return this.web3.eth.abi.encodeParameter(param.type, value);
     }
 
     /**
-     * Returns the amount of ether or ERC20 token of an account.
-     * @param {string} account Account to check.
-     * @param {string} token ERC20 contract address or its alias alias in `w-contracts.json` to be transfered. If it is not 
-     * specified, it will return the amount of ether.
-     * @returns {Promise} Balance of the account.
+     * Builds the topics of a log filter.
+     * @param {Object} eventAbi ABI of the event.
+     * @param {Array | Object} filter Values of the indexed parameters, as an array in the order of the indexed
+     * parameters, or as an object with the names of the parameters as keys. A value can be an array of values
+     * (any of them matches) or `null` (anything matches). Can be `null` or `undefined`.
+     * @returns {Array} The topics of the filter.
      */
-    async balance(account, token) {
-        this._web3Assertion();
-        let address = this._aliasesHandler(account);
-        assertRed(
-            address,
-            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
-            + '\nGiven : ' + account
-        );
-        if (token) {
-            return this.call(token, 'balanceOf', ['address', address], 'uint256');
-        } else {
-            return this.web3.eth.getBalance(address);
+    _eventTopics(eventAbi, filter) {
+        let topics = eventAbi.anonymous ? [] : [this.web3.eth.abi.encodeEventSignature(eventAbi)];
+        let indexedInputs = eventAbi.inputs.filter(input => input.indexed);
+        if (filter && !Array.isArray(filter)) {
+            for (let key in filter) {
+                assertRed(
+                    indexedInputs.some(input => input.name === key),
+                    'The filter can only be on indexed parameters.'
+                    + '\nGiven parameter: ' + key
+                );
+            }
         }
+        indexedInputs.forEach((input, i) => {
+            let value = filter ? (Array.isArray(filter) ? filter[i] : filter[input.name]) : null;
+            if (value === undefined || value === null) {
+                topics.push(null);
+            } else if (Array.isArray(value) && !input.type.includes('[')) {
+                topics.push(value.map(element => this._topic(input, element)));
+            } else {
+                topics.push(this._topic(input, value));
+            }
+        });
+        while (topics.length > 0 && topics[topics.length - 1] === null) topics.pop();
+        return topics;
     }
 
     /**
-     * Prints the amount of ether or ERC20 token of an account.
-     * @param {string} account Account to check.
-     * @param {string} token ERC20 contract address or its alias alias in `w-contracts.json` to be transfered. If it is not 
-     * specified, it will return the amount of ether.
+     * Decodes a log emitted by an event.
+     * @param {Object} eventAbi ABI of the event.
+     * @param {Object} log Raw log.
+     * @returns {Object} The decoded event.
      */
-    printBalance(account, token) {
-        this.balance(account, token).then((value) => {
-            console.log(`${this.web3.utils.fromWei(value.toString(), this.valueUnit)} ${this.valueUnit}`);
-        });
+    _decodeEvent(eventAbi, log) {
+        let topics = eventAbi.anonymous ? log.topics : log.topics.slice(1);
+        return {
+            event: eventAbi.name,
+            signature: eventAbi.anonymous ? null : log.topics[0],
+            address: log.address,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            transactionIndex: log.transactionIndex,
+            logIndex: log.logIndex,
+            returnValues: this.web3.eth.abi.decodeLog(eventAbi.inputs, log.data, topics),
+            raw: { data: log.data, topics: log.topics }
+        };
     }
 
-    /** Deploys a contract.
-     * @param {string} from Alias of the sender in `w-accounts.json`. Its private key should also
-     * be present in the file.
-     * @param {string} folders Folder in witch the contracts are located.
-     * @param {string} contractName Name of the contract to be deployed.
-     * @param {string} args Arguments of the constructor.
-     * @param {string} optimization Number of runs of the optimizer.
-     * @param {string} gasPrice Gas price of the transaction. The value is unit set by the function
-     * `w.setGasPriceUnit()`, by default it is `'gwei'`.
+    /**
+     * Converts a block tag to a block number.
+     * @param {int | string} block Block number or tag (`'earliest'`, `'latest'`, `'pending'`).
+     * @returns {Promise<int>} The block number.
      */
-    async deploy(from, folders, contractName, args, optimization, gasPrice) {
-        this._web3Assertion();
-        this._accountsAssertion();
-
-        let success = true;
-        let filesPaths = []
-        let input = {
-            language: 'Solidity',
-            sources: {},
-            settings: { outputSelection: { '*': { '*': ['*'] } } }
-        };
-        if (optimization) {
-            input.settings.optimizer = { runs: optimization };
+    async _blockNumber(block) {
+        if (block === 'earliest') return 0;
+        if (block === undefined || block === null || block === 'latest' || block === 'pending') {
+            return this.web3.eth.getBlockNumber();
         }
+        return this.web3.utils.hexToNumber(this.web3.utils.toHex(block));
+    }
 
-        for (let folder of folders) {
-            for (let file of fs.readdirSync(folder)) {
-                if (file.slice(-4) === '.sol') {
-                    filesPaths.push(folder + file)
-                }
-            }
-        }
+    /**
+     * Checks if an error returned by `eth_getLogs` means that the query has too many results or a too wide
+     * block range.
+     * @param {Error} err Error returned by the node.
+     * @returns {bool} Whether the query should be split or not.
+     */
+    _isTooManyResults(err) {
+        return new RegExp([
+            'query returned more than \\d+ results', // Infura
+            'log response size exceeded', // Alchemy
+            'response size should not greater than',
+            'exceeds? (the )?max(imum)? block range', // Geth, BSC
+            'block range (is )?too (large|wide)', // Ankr, Erigon
+            'limited to a [\\d,]+ (block )?range', // QuickNode
+            'too many (results|logs|blocks)'
+        ].join('|'), 'i').test(err && err.message);
+    }
 
-        for (let i = 0; i < filesPaths.length; i++) {
+    /**
+     * Returns the logs matching a filter. The block range is split into smaller chunks when the provider
+     * rejects the query because it has too many results, and the chunks grow back after each success.
+     * @param {Object} filter Filter of the logs, without block range.
+     * @param {int} fromBlock First block of the range.
+     * @param {int} toBlock Last block of the range.
+     * @returns {Promise<Object[]>} The logs, in the order of the chain.
+     */
+    async _getLogs(filter, fromBlock, toBlock) {
+        let logs = [];
+        let maxChunkSize = toBlock - fromBlock + 1;
+        let chunkSize = maxChunkSize;
+        let start = fromBlock;
+        while (start <= toBlock) {
+            let end = Math.min(start + chunkSize - 1, toBlock);
             try {
-                let data = fs.readFileSync(filesPaths[i], { encoding: 'utf8', flag: 'r' });
-                let baseName = path.win32.basename(filesPaths[i]);
-                if (baseName) {
-                    input.sources[baseName] = { content: data };
-                } else {
-                    success = false;
-                }
-            } catch {
-                console.log(colorize(`Unable to find ${filesPaths[i]}`, 'red'))
-                success = false;
+                logs.push(...await this.web3.eth.getPastLogs({ ...filter, fromBlock: start, toBlock: end }));
+                start = end + 1;
+                chunkSize = Math.min(chunkSize * 2, maxChunkSize);
+            } catch (err) {
+                if (chunkSize === 1 || !this._isTooManyResults(err)) throw err;
+                chunkSize = Math.ceil(chunkSize / 2);
             }
         }
+        return logs;
+    }
 
-        assert(success);
-
-        let output = JSON.parse(solc.compile(JSON.stringify(input)));
-
-        if (output.errors) {
-            for (let error of output.errors) {
-                if (error.severity === 'warning') {
-                    if (this.recaps) {
-                        console.log(colorize(error.formattedMessage, 'yellow'));
-                    }
-                } else {
-                    console.log(colorize(error.formattedMessage, 'red'));
-                    success = false;
-                }
-
-            }
+    /**
+     * Returns the decoded events emitted by a contract.
+     * @param {string | string[]} contract Address of the contract or its alias in `w-contracts.json`, or an
+     * array of them. If `null`, the events of all the contracts are returned.
+     * @param {string} signature Signature of the event, as `Transfer(address indexed,address indexed,uint256)`.
+     * The names of the parameters are optional. If the ABI of the contract is given in `w-contracts.json`,
+     * the name of the event is enough.
+     * @param {Array | Object} filter Values of the indexed parameters, as an array in the order of the indexed
+     * parameters, or as an object with the names of the parameters as keys. A value can be an array of values
+     * (any of them matches) or `null` (anything matches). Addresses can be given as aliases. Can be `null`
+     * or `undefined`.
+     * @param {int | string} fromBlock First block of the range. By default, it is `0`.
+     * @param {int | string} toBlock Last block of the range. By default, it is `'latest'`.
+     * @returns {Promise<Object[]>} The decoded events, with their parameters in `returnValues`.
+     */
+    async events(contract, signature, filter, fromBlock = 0, toBlock = 'latest') {
+        this._web3Assertion();
+        let [options, eventAbi] = this._logsFilter(contract, signature, filter);
+        if (this.recaps) {
+            console.log(colorize('• Logs filter :', 'cyan'))
+            console.log(options);
+            console.log();
         }
 
-        assertRed(success, 'Compilation failed.')
-        let contractFile;
+        let logs = await this._getLogs(options, await this._blockNumber(fromBlock), await this._blockNumber(toBlock));
+        return logs.map(log => this._decodeEvent(eventAbi, log));
+    }
 
-        for (let file in output.contracts) {
-            for (let contract in output.contracts[file]) {
-                if (contract === contractName) {
-                    contractFile = file;
-                    break;
-                }
-                if (contractFile) break;
-            }
+    /**
+     * Builds a log filter, without block range.
+     * @param {string | string[]} contract Address of the contract or its alias in `w-contracts.json`, or an
+     * array of them. Can be `null`.
+     * @param {string} signature Signature of the event, or its name if the ABI of the contract is known.
+     * @param {Array | Object} filter Values of the indexed parameters. Can be `null` or `undefined`.
+     * @returns {Array} The log filter and the ABI of the event, as `[filter, eventAbi]`.
+     */
+    _logsFilter(contract, signature, filter) {
+        let options = {};
+        if (contract) {
+            let addresses = (Array.isArray(contract) ? contract : [contract]).map(element => {
+                let address = this._aliasesHandler(element, 'ca');
+                assertRed(
+                    address,
+                    'Unknown contract alias (not in `w-contracts.json`) or invalid address.'
+                    + '\nGiven : ' + element
+                );
+                return address;
+            });
+            options.address = Array.isArray(contract) ? addresses : addresses[0];
         }
+        let eventAbi = this._eventAbi(contract, signature);
+        options.topics = this._eventTopics(eventAbi, filter);
+        return [options, eventAbi];
+    }
 
-        let outputContract = output.contracts[contractFile];
-        let bytecode = outputContract[contractName].evm.bytecode.object;
-        let abi = outputContract[contractName].abi;
-        let contract = new this.web3.eth.Contract(abi);
-        let transaction = contract.deploy({
-            data: bytecode,
-            arguments: args,
+    /**
+     * Prints the decoded events emitted by a contract.
+     * @param {string | string[]} contract Address of the contract or its alias in `w-contracts.json`, or an
+     * array of them. If `null`, the events of all the contracts are printed.
+     * @param {string} signature Signature of the event, as `Transfer(address indexed,address indexed,uint256)`.
+     * @param {Array | Object} filter Values of the indexed parameters. Can be `null` or `undefined`.
+     * @param {int | string} fromBlock First block of the range. By default, it is `0`.
+     * @param {int | string} toBlock Last block of the range. By default, it is `'latest'`.
+     */
+    printEvents(contract, signature, filter, fromBlock, toBlock) {
+        this.events(contract, signature, filter, fromBlock, toBlock).then((events) => {
+            for (let event of events) {
+                console.log(colorize(`• ${event.event} (block ${event.blockNumber}, ${event.transactionHash}) :`, 'cyan'));
+                console.log(event.returnValues);
+            }
         });
+    }
 
-        let fromAccount = this.accounts[from];
-        assertRed(
-            fromAccount,
-            'Unknown account alias (not in `w-accounts.json`).'
-            + '\nGiven : ' + from
-        );
-
-        let signedTransaction = await this.web3.eth.accounts.signTransaction({
-            from: fromAccount.address,
-            data: transaction.encodeABI(),
-            gas: '8000000',
-            gasPrice: this._convertGasPrice(gasPrice)
-        }, fromAccount.key);
+    /**
+     * Calls `handler` with each new block. If the provider is a websocket, the blocks are received as they are
+     * mined, otherwise the provider is polled at the interval set by `setPollingInterval`. If the connection is
+     * lost, it reconnects and the missed blocks are given to `handler` once it is back.
+     * @param {function} handler Function called with each new block, in order.
+     * @returns {Promise<Object>} The subscription, which can be cancelled with its method `unsubscribe()`.
+     */
+    async onBlock(handler) {
+        typeAssertion(handler, 'function');
+        return this._subscribe({ type: 'block', handler: handler });
+    }
 
-        let confirmation = true;
-        if (this.recaps || this.confirmations) {
-            console.log(colorize(`• Contract to be deployed :`, 'cyan'))
-            console.log(input.sources[contractFile].content)
-        }
-        if (this.confirmations) {
-            confirmation = await askConfirmation(
-                colorize('\nDo you really want to deploy this contract (y/n) ? ', 'yellow')
-            );
-            console.log();
-        }
+    /**
+     * Calls `handler` with each new decoded event emitted by a contract. If the provider is a websocket, the
+     * events are received as their blocks are mined, otherwise the provider is polled at the interval set by
+     * `setPollingInterval`. If the connection is lost, it reconnects and the missed events are given to
+     * `handler` once it is back.
+     * @param {string | string[]} contract Address of the contract or its alias in `w-contracts.json`, or an
+     * array of them. If `null`, the events of all the contracts are received.
+     * @param {string} signature Signature of the event, as `Transfer(address indexed,address indexed,uint256)`.
+     * If the ABI of the contract is given in `w-contracts.json`, the name of the event is enough.
+     * @param {Array | Object} filter Values of the indexed parameters, as in `events`. Can be `null` or `undefined`.
+     * @param {function} handler Function called with each new decoded event, in order.
+     * @returns {Promise<Object>} The subscription, which can be cancelled with its method `unsubscribe()`.
+     */
+    async onEvent(contract, signature, filter, handler) {
+        typeAssertion(handler, 'function');
+        this._web3Assertion();
+        let [options, eventAbi] = this._logsFilter(contract, signature, filter);
+        return this._subscribe({ type: 'event', filter: options, eventAbi: eventAbi, handler: handler });
+    }
 
-        if (confirmation) {
-            let result = this.web3.eth.sendSignedTransaction(signedTransaction.rawTransaction);
-            if (this.receipts) {
-                result
-                    .then((receipt) => {
-                        console.log(colorize('✔ Contract deployed.', 'green'));
-                        console.log(receipt);
-                    })
-                    .catch((err) => {
-                        if (err.receipt) {
-                            console.log(colorize('✖ Deployment reverted.', 'red'));
-                            console.log(err.receipt);
-                        } else {
-                            console.log(err);
-                        }
-                    });
-            }
-            let receipt = await result;
-            return receipt.contractAddress;
-        } else {
-            return Promise.reject(new Error('Send aborted by the user.'));
-        }
+    /**
+     * Cancels all the subscriptions made with `onBlock` and `onEvent`.
+     */
+    unsubscribeAll() {
+        this.subscriptions = [];
+        this._stopWatcher();
     }
 
     /**
-     * Returns the storage at an index of a contract.
-     * @param {string} contract Contract address or its alias in `w-contracts.json`.
-     * @param {int | string} slot Slot of the storage, as an integer or hexadecimal string.
-     * @returns {Promise<string>} Value of the storage at the given index.
+     * Registers a subscription, starting after the current block.
+     * @param {Object} subscription Subscription, with its `type` and its `handler`.
+     * @returns {Promise<Object>} The subscription.
      */
-    async storage(contract, slot, returns) {
+    async _subscribe(subscription) {
         this._web3Assertion();
-        let address = this._aliasesHandler(contract);
-        assertRed(
-            address,
-            'Unknown alias (not in `w-contracts.json`) or invalid address.'
-            + '\nGiven : ' + contract
-        );
-        let encodedResult = await this.web3.eth.getStorageAt(address, slot, this.blockCall);
-        return returns ? this._decode(encodedResult, returns) : encodedResult;
+        subscription.id = ++this.subscriptionsCount;
+        subscription.lastBlock = await this.web3.eth.getBlockNumber();
+        subscription.unsubscribe = () => {
+            this.subscriptions = this.subscriptions.filter(element => element !== subscription);
+            if (this.subscriptions.length === 0) this._stopWatcher();
+        };
+        this.subscriptions.push(subscription);
+        this._startWatcher();
+        return subscription;
     }
 
     /**
-     * Prints the storage at an index of a contract.
-     * @param {string} contract Contract address or its alias in `w-contracts.json`.
-     * @param {int | string} slot Slot of the storage, as an integer or hexadecimal string.
-     * @param {string[]} returns Types stored at the slot. If not specified it won't decode the output
+     * Starts watching the new blocks, through a websocket subscription or by polling the provider.
      */
-    async printStorage(contract, slot, returns) {
-        this.storage(contract, slot, returns).then(console.log);
+    _startWatcher() {
+        if (this.watcher) return;
+        let watcher = { syncing: Promise.resolve() };
+        this.watcher = watcher;
+        if (typeof this.provider.rpc === 'string' && /^wss?:\/\//i.test(this.provider.rpc)) {
+            // web3 resubscribes by itself after a reconnection
+            watcher.subscription = this.web3.eth.subscribe('newBlockHeaders')
+                .on('data', header => this._onHead(header.number))
+                .on('error', err => warning('Block subscription error: ' + err.message));
+        } else {
+            watcher.interval = setInterval(() => this._onHead(null), this.pollingInterval);
+        }
     }
 
     /**
-     * Returns the keccak256 hash of the given input. 
-     * @param {String} value Value to be hashed.
-     * @returns {String} Keccak256 hash of the given input.
+     * Stops watching the new blocks.
      */
-    keccak256(value) {
-        return this.web3.utils.soliditySha3(value);
+    _stopWatcher() {
+        let watcher = this.watcher;
+        if (!watcher) return;
+        this.watcher = null;
+        if (watcher.interval) clearInterval(watcher.interval);
+        if (watcher.subscription) watcher.subscription.unsubscribe(() => { });
     }
 
-    /** 
-     * Returns the storage index of a value in a mapping.
-     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
-     * @param {string[]} key Key of the mapping, with the format `[type, value]`.
-     * @returns {Promise<string>} The storage index of the value.
-    */
-    mappingValueSlot(slot, key) {
-        return this.keccak256(
-            this.web3.eth.abi.encodeParameters([key[0], 'uint256'], [key[1], slot])
-        );
+    /**
+     * Queues the synchronization of the subscriptions up to a new block.
+     * @param {int} head Number of the new block. If `null`, it is fetched from the provider.
+     */
+    _onHead(head) {
+        let watcher = this.watcher;
+        if (!watcher) return;
+        watcher.syncing = watcher.syncing.then(() => this._syncSubscriptions(head));
     }
 
     /**
-     * Returns the value of a mapping at a given index for a given key.
-     * @param {string} contract Contract address or its alias in `w-contracts.json`.
-     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
-     * @param {*} key Key of the mapping, with the format `[type, value]`.
-     * @returns {Promise<string>} Value of the mapping at the given index for the given key.
+     * Gives to the handlers of the subscriptions everything that happened between their last block and `head`.
+     * If something fails, the subscription is retried from its last block at the next new block.
+     * @param {int} head Number of the new block. If `null`, it is fetched from the provider.
      */
-    mappingValue(contract, slot, key, returns) {
-        let storageAddress = this.mappingValueSlot(slot, key);
-        return this.storage(contract, storageAddress, returns);
+    async _syncSubscriptions(head) {
+        try {
+            if (head === null) head = await this.web3.eth.getBlockNumber();
+        } catch (err) {
+            warning('Unable to fetch the current block, retrying at the next poll: ' + err.message);
+            return;
+        }
+        for (let subscription of [...this.subscriptions]) {
+            try {
+                if (subscription.type === 'block') {
+                    while (subscription.lastBlock < head && this.subscriptions.includes(subscription)) {
+                        let block = await this.web3.eth.getBlock(subscription.lastBlock + 1);
+                        if (!block) break;
+                        subscription.lastBlock++;
+                        await this._callHandler(subscription, block);
+                    }
+                } else if (subscription.lastBlock < head) {
+                    let logs = await this._getLogs(subscription.filter, subscription.lastBlock + 1, head);
+                    subscription.lastBlock = head;
+                    for (let log of logs) {
+                        if (!this.subscriptions.includes(subscription)) break;
+                        await this._callHandler(subscription, this._decodeEvent(subscription.eventAbi, log));
+                    }
+                }
+            } catch (err) {
+                warning(`Subscription n°${subscription.id} failed to sync, retrying at the next block: ${err.message}`);
+            }
+        }
     }
 
     /**
-     * Prints the value of a mapping at a given index for a given key.
-     * @param {string} contract Contract address or its alias in `w-contracts.json`.
-     * @param {int | string} slot Slot of the mapping, as an integer or hexadecimal string.
-     * @param {*} key Key of the mapping, with the format `[type, value]`.
+     * Calls the handler of a subscription, and prints its error if it throws.
+     * @param {Object} subscription Subscription.
+     * @param {*} value Value given to the handler.
      */
-    printMappingValue(contract, slot, key, returns) {
-        this.mappingValue(contract, slot, key, returns).then(console.log);
+    async _callHandler(subscription, value) {
+        try {
+            await subscription.handler(value);
+        } catch (err) {
+            console.log(colorize(`✖ Error occured in the handler of the subscription n°${subscription.id} : `, 'red') + err);
+        }
     }
 
     /**
@@ -998,6 +4477,152 @@ class W {
         this.currentBlock().then(console.log);
     }
 
+    /**
+     * Signs a message with the EIP-191 prefix (`personal_sign`).
+     * @param {string} alias Alias of the signer in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {string} message Message to sign. If it is an hexadecimal string, it is signed as bytes.
+     * @returns {Promise<string>} The signature.
+     */
+    async signMessage(alias, message) {
+        this._web3Assertion();
+        let account = this._signerAccount(alias);
+        return this.web3.eth.accounts.sign(message, await this._privateKey(account)).signature;
+    }
+
+    /**
+     * Prepares EIP-712 typed data: the aliases are replaced by their addresses in the fields of type `address`
+     * and in the `verifyingContract` of the domain, and the type `EIP712Domain` is removed from the types.
+     * @param {Object} domain Domain of the typed data.
+     * @param {Object} types Types of the typed data.
+     * @param {Object} value Value of the primary type.
+     * @returns {Object[]} The prepared `[domain, types, value]`.
+     */
+    _typedData(domain, types, value) {
+        types = { ...types };
+        delete types.EIP712Domain;
+        domain = { ...domain };
+        if (domain.verifyingContract) {
+            domain.verifyingContract = this._resolveTypedAliases(types, 'address', domain.verifyingContract, 'ca');
+        }
+        let primaryType = _TypedDataEncoder.getPrimaryType(types);
+        return [domain, types, this._resolveTypedAliases(types, primaryType, value)];
+    }
+
+    /**
+     * Replaces the aliases by their addresses in a value of EIP-712 typed data.
+     * @param {Object} types Types of the typed data.
+     * @param {string} type Type of the value.
+     * @param {*} value Value.
+     * @param {string} order Order of the search between accounts and contracts, as in `_aliasesHandler`.
+     * @returns {*} The value, with the aliases replaced by their addresses.
+     */
+    _resolveTypedAliases(types, type, value, order = 'ac') {
+        let arrayMatch = type.match(/^(.*)\[(\d*)\]$/);
+        if (arrayMatch) return value.map(element => this._resolveTypedAliases(types, arrayMatch[1], element, order));
+        if (type === 'address') {
+            let address = this._aliasesHandler(value, order);
+            assertRed(
+                address,
+                'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+                + '\nGiven : ' + value
+            );
+            return address;
+        }
+        if (types[type]) {
+            let resolved = { ...value };
+            for (let field of types[type]) {
+                resolved[field.name] = this._resolveTypedAliases(types, field.type, value[field.name], order);
+            }
+            return resolved;
+        }
+        return value;
+    }
+
+    /**
+     * Returns the EIP-712 hash of typed data.
+     * @param {Object} domain Domain of the typed data. Its `verifyingContract` can be an alias.
+     * @param {Object} types Types of the typed data.
+     * @param {Object} value Value of the primary type. Its addresses can be aliases.
+     * @returns {string} The hash to sign.
+     */
+    typedDataHash(domain, types, value) {
+        this._web3Assertion();
+        return _TypedDataEncoder.hash(...this._typedData(domain, types, value));
+    }
+
+    /**
+     * Signs EIP-712 typed data (`eth_signTypedData_v4`).
+     * @param {string} alias Alias of the signer in `w-accounts.json`. Its private key (or keystore) should also
+     * be present in the file.
+     * @param {Object} domain Domain of the typed data. Its `verifyingContract` can be an alias.
+     * @param {Object} types Types of the typed data. The type `EIP712Domain` can be omitted.
+     * @param {Object} value Value of the primary type. Its addresses can be aliases.
+     * @returns {Promise<string>} The signature.
+     */
+    async signTypedData(alias, domain, types, value) {
+        let hash = this.typedDataHash(domain, types, value);
+        let account = this._signerAccount(alias);
+        let signature = new SigningKey(await this._privateKey(account)).signDigest(hash);
+        return signature.r + signature.s.slice(2) + signature.v.toString(16);
+    }
+
+    /**
+     * Returns the address that signed a message or EIP-712 typed data.
+     * @param {string | Object} message Message signed with `signMessage`, or typed data signed with
+     * `signTypedData`, as an object `{ domain, types, value }`.
+     * @param {string} signature Signature.
+     * @returns {string} Address of the signer.
+     */
+    recoverSigner(message, signature) {
+        this._web3Assertion();
+        if (message !== null && typeof message === 'object') {
+            let hash = this.typedDataHash(message.domain, message.types, message.value);
+            return this.web3.eth.accounts.recover(hash, signature, true);
+        }
+        return this.web3.eth.accounts.recover(message, signature);
+    }
+
+    /**
+     * Checks if a message or EIP-712 typed data has been signed by an account.
+     * @param {string} account Address of the account or its alias in `w-accounts.json`.
+     * @param {string | Object} message Message, or typed data as an object `{ domain, types, value }`.
+     * @param {string} signature Signature.
+     * @returns {bool} Whether the signature is from the given account or not.
+     */
+    verifySignature(account, message, signature) {
+        let address = this._aliasesHandler(account);
+        assertRed(
+            address,
+            'Unknown alias (neither in `w-accounts.json` nor in `w-contracts.json`) or invalid address.'
+            + '\nGiven : ' + account
+        );
+        try {
+            return this.recoverSigner(message, signature).toLowerCase() === address.toLowerCase();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Splits a signature into its `v`, `r` and `s` components, as expected by contracts (`ecrecover`, `permit`).
+     * @param {string} signature Signature of 65 bytes.
+     * @returns {Object} The components `v` (27 or 28), `r` and `s` of the signature.
+     */
+    splitSignature(signature) {
+        assertRed(
+            /^0x[0-9a-fA-F]{130}$/.test(signature),
+            'Invalid signature, 65 bytes expected.'
+            + '\nGiven signature: ' + signature
+        );
+        let v = parseInt(signature.slice(130, 132), 16);
+        return {
+            v: v < 27 ? v + 27 : v,
+            r: '0x' + signature.slice(2, 66),
+            s: '0x' + signature.slice(66, 130)
+        };
+    }
+
     $rel(nonce) {
         return "$rel" + nonce;
     }